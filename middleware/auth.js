@@ -1,13 +1,56 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+
+const STREAM_TOKEN_TTL = process.env.STREAM_TOKEN_TTL || '1m';
 
 // Verify JWT token
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  return verifyRequestToken(req, res, next, token);
+};
 
+// Event streams. EventSource cannot send an Authorization header, so besides
+// the usual header these accept ?stream_token= from POST <stream url>/token.
+// Query strings end up in proxy and access logs, so a stream token expires
+// after STREAM_TOKEN_TTL (checked when the stream opens) and only opens the
+// stream it was issued for; the general access token is never accepted there.
+const authenticateStream = (req, res, next) => {
+  if (req.headers['authorization']) {
+    return authenticateToken(req, res, next);
+  }
+
+  const token = typeof req.query.stream_token === 'string' ? req.query.stream_token : null;
+  return verifyRequestToken(req, res, next, token, { scope: 'stream', path: req.baseUrl + req.path });
+};
+
+// Issue a stream token for the stream this route sits under
+// (mounted as POST <stream url>/token after authenticateToken)
+const issueStreamToken = (req, res) => {
+  const streamToken = jwt.sign(
+    {
+      userId: req.user._id,
+      sid: req.auth.sessionId,
+      tokenVersion: req.user.tokenVersion || 0,
+      scope: 'stream',
+      path: req.baseUrl + req.path.replace(/\/token$/, '')
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_TTL }
+  );
+
+  res.json({
+    success: true,
+    streamToken,
+    expiresAt: new Date(jwt.decode(streamToken).exp * 1000)
+  });
+};
+
+async function verifyRequestToken(req, res, next, token, { scope, path } = {}) {
+  try {
     if (!token) {
       return res.status(401).json({ 
         success: false, 
@@ -16,7 +59,27 @@ const authenticateToken = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json({
+          success: false,
+          message: 'Access token expired',
+          code: 'TOKEN_EXPIRED'
+        });
+      }
+      throw error;
+    }
+
+    // Stream tokens only open their own stream, and nothing else takes them
+    if (decoded.scope !== scope || decoded.path !== path) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is not valid for this request'
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.userId).select('-__v');
@@ -27,7 +90,25 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens die with their session (logout) or when the user's role changes
+    const session = decoded.sid && await AuthSession.findById(decoded.sid);
+    if (!session || !session.isValid() || decoded.tokenVersion !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token has been revoked',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account has been deactivated'
+      });
+    }
+
     req.user = user;
+    req.auth = { sessionId: session._id };
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -36,7 +117,7 @@ const authenticateToken = async (req, res, next) => {
       message: 'Invalid or expired token' 
     });
   }
-};
+}
 
 // Check if user has required role
 const requireRole = (roles) => {
@@ -55,11 +136,22 @@ const requireRole = (roles) => {
       });
     }
 
+    // Teachers awaiting approval have no teacher privileges yet
+    if (req.user.role === 'teacher' && !req.user.isVerifiedTeacher()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your teacher account is waiting for approval',
+        code: 'TEACHER_PENDING'
+      });
+    }
+
     next();
   };
 };
 
 module.exports = {
   authenticateToken,
+  authenticateStream,
+  issueStreamToken,
   requireRole
 };
\ No newline at end of file
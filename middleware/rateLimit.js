@@ -0,0 +1,107 @@
+// middleware/rateLimit.js - Request throttling and invalid-token lockouts
+const rateLimitStore = require('../utils/rateLimitStore');
+
+// Limits are { limit, windowMs, burst }: `limit` requests per window on
+// average, with `burst` extra allowed at once. Per-IP limits stay high
+// because a whole lecture hall often shares one campus IP.
+const LIMITS = {
+  login: {
+    ip: { limit: 30, windowMs: 60 * 1000, burst: 20 }
+  },
+  refresh: {
+    ip: { limit: 60, windowMs: 60 * 1000, burst: 30 }
+  },
+  join: {
+    user: { limit: 10, windowMs: 60 * 1000, burst: 5 },
+    ip: { limit: 600, windowMs: 60 * 1000, burst: 300 }
+  }
+};
+
+// Invalid QR tokens a user may submit before being locked out of joining
+const JOIN_LOCKOUT = {
+  maxFailures: 10,
+  windowMs: 10 * 60 * 1000,
+  lockoutMs: 15 * 60 * 1000
+};
+
+function sendTooManyRequests(res, retryAfterMs, message, code) {
+  const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `${message}. Try again in ${retryAfter} seconds`,
+    code,
+    retryAfter
+  });
+}
+
+// Throttle requests by IP and, once authenticated, by user. `name` picks
+// the limits from LIMITS. Fails open if the store can't be reached.
+const rateLimit = (name) => {
+  const limits = LIMITS[name];
+
+  return async (req, res, next) => {
+    try {
+      const checks = [];
+      if (limits.ip) checks.push([`${name}:ip:${req.ip}`, limits.ip]);
+      if (limits.user && req.user) checks.push([`${name}:user:${req.user._id}`, limits.user]);
+
+      for (const [key, { limit, windowMs, burst }] of checks) {
+        const result = await rateLimitStore.consume(key, { interval: windowMs / limit, burst });
+        if (!result.allowed) {
+          console.log(`Rate limited: ${key}`);
+          return sendTooManyRequests(res, result.retryAfterMs, 'Too many requests', 'RATE_LIMITED');
+        }
+      }
+    } catch (error) {
+      console.error('Rate limit error:', error);
+    }
+    next();
+  };
+};
+
+// Reject users locked out after too many invalid QR tokens
+const rejectIfLockedOut = async (req, res, next) => {
+  try {
+    const lockedUntil = await rateLimitStore.getLock(`join-failures:user:${req.user._id}`);
+    if (lockedUntil) {
+      return sendTooManyRequests(res, lockedUntil - Date.now(), 'Too many invalid QR codes', 'LOCKED_OUT');
+    }
+  } catch (error) {
+    console.error('Lockout check error:', error);
+  }
+  next();
+};
+
+// Count an invalid QR token against the user; returns the lockout end, if any
+const recordInvalidToken = async (req) => {
+  try {
+    const { failures, lockedUntil } = await rateLimitStore.recordFailure(
+      `join-failures:user:${req.user._id}`,
+      JOIN_LOCKOUT
+    );
+    if (lockedUntil && failures === JOIN_LOCKOUT.maxFailures) {
+      console.log(`User ${req.user.email} locked out of joining until ${lockedUntil.toISOString()}`);
+    }
+    return lockedUntil;
+  } catch (error) {
+    console.error('Record invalid token error:', error);
+    return null;
+  }
+};
+
+// Reset the invalid-token count after a successful join
+const clearInvalidTokens = async (req) => {
+  try {
+    await rateLimitStore.clearFailures(`join-failures:user:${req.user._id}`);
+  } catch (error) {
+    console.error('Clear invalid tokens error:', error);
+  }
+};
+
+module.exports = {
+  rateLimit,
+  rejectIfLockedOut,
+  recordInvalidToken,
+  clearInvalidTokens
+};
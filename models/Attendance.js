@@ -1,5 +1,10 @@
 // models/Attendance.js - Simplified for minimalist app
 const mongoose = require('mongoose');
+const { resolvePolicy } = require('../utils/attendancePolicy');
+const attendanceAlerts = require('../utils/attendanceAlerts');
+const LeaveRequest = require('./LeaveRequest');
+
+const STATUSES = ['present', 'late', 'excused', 'absent'];
 
 const attendanceSchema = new mongoose.Schema({
   lectureId: {
@@ -18,6 +23,53 @@ const attendanceSchema = new mongoose.Schema({
     default: Date.now,
     index: true
   },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    index: true
+  },
+  subjectId: {
+    type: String // Subject code from the class subjects array
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'present'
+  },
+  markedBy: {
+    type: String,
+    enum: ['qr_scan', 'teacher', 'system'],
+    default: 'qr_scan'
+  },
+  // Audit trail of every status change after the record was created
+  history: [{
+    from: {
+      type: String,
+      enum: [...STATUSES, null]
+    },
+    to: {
+      type: String,
+      enum: STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    dispute: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AttendanceDispute' // Set when the change resolved a student dispute
+    }
+  }],
   sessionType: {
     type: String,
     enum: ['lecture', 'session'],
@@ -26,14 +78,132 @@ const attendanceSchema = new mongoose.Schema({
   location: {
     lat: Number,
     lng: Number,
-    accuracy: Number
+    accuracy: Number,
+    distance: Number // meters from the lecture/session location at join time
   },
+  device: {
+    idHash: String, // keyed hash of the X-Device-Id the student joined from
+    userAgent: String
+  },
+  // Proxy-attendance warnings raised at join time, see utils/deviceCheck.js
+  flags: [{
+    code: {
+      type: String,
+      enum: ['missing_device', 'device_mismatch', 'shared_device', 'identical_location'],
+      required: true
+    },
+    detail: String,
+    relatedStudent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
 }, {
   timestamps: true
 });
 
 // Compound indexes for efficient queries
 attendanceSchema.index({ lectureId: 1, studentId: 1 }, { unique: true });
+attendanceSchema.index({ lectureId: 1, 'device.idHash': 1 });
+
+// Count students marked present or late
+attendanceSchema.statics.countAttended = function(lectureId) {
+  return this.countDocuments({
+    lectureId: lectureId.toString(),
+    status: { $in: ['present', 'late'] }
+  });
+};
+
+// Change status and record who did it and why (does not save)
+attendanceSchema.methods.changeStatus = function(status, { changedBy, reason, dispute, at = new Date() } = {}) {
+  this.history.push({
+    from: this.status,
+    to: status,
+    changedBy,
+    changedAt: at,
+    reason,
+    dispute
+  });
+  this.status = status;
+  return this;
+};
+
+// Set a student's status for a lecture/session, creating the record if the
+// student has none. `target` holds lectureId, studentId, classId, subjectId
+// and sessionType. Returns { attendance, previousStatus }.
+attendanceSchema.statics.setStatus = async function(target, status, { changedBy, reason, dispute } = {}) {
+  const lectureId = target.lectureId.toString();
+  let attendance = await this.findOne({ lectureId, studentId: target.studentId });
+  const previousStatus = attendance ? attendance.status : null;
+
+  if (!attendance) {
+    attendance = new this({
+      ...target,
+      lectureId,
+      status,
+      markedBy: changedBy ? 'teacher' : 'system',
+      timestamp: new Date(),
+      history: [{ from: null, to: status, changedBy, changedAt: new Date(), reason, dispute }]
+    });
+  } else if (attendance.status !== status) {
+    attendance.changeStatus(status, { changedBy, reason, dispute });
+  } else {
+    return { attendance, previousStatus };
+  }
+
+  await attendance.save();
+  attendanceAlerts.scheduleCheck(attendance.classId, [attendance.studentId]);
+  return { attendance, previousStatus };
+};
+
+// Record every roster student without a record for this lecture/session as
+// absent, or excused when they have approved leave covering it. `target`
+// holds lectureId, classId, subjectId, sessionType, startTime and roster.
+// Returns the number of records created.
+attendanceSchema.statics.materializeAbsences = async function({ roster, startTime, ...target }, at = new Date()) {
+  const lectureId = target.lectureId.toString();
+  const recorded = await this.distinct('studentId', { lectureId });
+  const recordedIds = new Set(recorded.map(id => id.toString()));
+  const onLeave = await LeaveRequest.findExcusedStudents(target.classId, lectureId, startTime);
+
+  const absences = roster
+    .filter(studentId => !recordedIds.has(studentId.toString()))
+    .map(studentId => {
+      const excused = onLeave.has(studentId.toString());
+      return {
+        ...target,
+        lectureId,
+        studentId,
+        status: excused ? 'excused' : 'absent',
+        markedBy: 'system',
+        timestamp: at,
+        history: excused ? [{ from: null, to: 'excused', changedAt: at, reason: 'Approved leave' }] : []
+      };
+    });
+
+  const excusedBy = [...new Set(absences
+    .filter(absence => absence.status === 'excused')
+    .map(absence => onLeave.get(absence.studentId.toString()).toString()))];
+  if (excusedBy.length > 0) {
+    await LeaveRequest.updateMany(
+      { _id: { $in: excusedBy } },
+      { $addToSet: { excusedLectureIds: lectureId } }
+    );
+  }
+
+  if (absences.length === 0) return 0;
+
+  try {
+    const inserted = await this.insertMany(absences, { ordered: false });
+    return inserted.length;
+  } catch (error) {
+    // A student joined or was marked while we were inserting; keep their record
+    if (error.code === 11000 || error.writeErrors) {
+      return error.insertedDocs ? error.insertedDocs.length : 0;
+    }
+    throw error;
+  }
+};
 
 // Static method to get lecture attendance
 attendanceSchema.statics.getLectureAttendance = async function(lectureId) {
@@ -42,19 +212,287 @@ attendanceSchema.statics.getLectureAttendance = async function(lectureId) {
     .sort({ timestamp: 1 });
 };
 
-// Static method to get student attendance history
-attendanceSchema.statics.getStudentHistory = async function(studentId, classId) {
+// Static method to list suspicious joins matching `filter`: flagged records,
+// devices used by more than one student in a lecture, and coordinates shared
+// by more than one student in a lecture
+attendanceSchema.statics.getFlagReport = async function(filter) {
+  const populateStudent = ['studentId', 'name email'];
+
+  const [flagged, sharedDevices, sharedLocations] = await Promise.all([
+    this.find({ ...filter, 'flags.0': { $exists: true } })
+      .populate(...populateStudent)
+      .populate('flags.relatedStudent', 'name email')
+      .select('lectureId studentId timestamp status flags location.lat location.lng')
+      .sort({ timestamp: -1 }),
+    this.aggregate([
+      { $match: { ...filter, 'device.idHash': { $ne: null } } },
+      { $group: { _id: { lectureId: '$lectureId', device: '$device.idHash' }, students: { $addToSet: '$studentId' } } },
+      { $match: { 'students.1': { $exists: true } } }
+    ]),
+    this.aggregate([
+      { $match: { ...filter, 'location.lat': { $ne: null } } },
+      {
+        $group: {
+          _id: { lectureId: '$lectureId', lat: '$location.lat', lng: '$location.lng' },
+          students: { $addToSet: '$studentId' }
+        }
+      },
+      { $match: { 'students.1': { $exists: true } } }
+    ])
+  ]);
+
+  // Swap grouped student ids for names
+  const User = mongoose.model('User');
+  const studentIds = [...sharedDevices, ...sharedLocations].flatMap(group => group.students);
+  const users = await User.find({ _id: { $in: studentIds } }).select('name email');
+  const byId = new Map(users.map(u => [u._id.toString(), { id: u._id, name: u.name, email: u.email }]));
+  const describe = group => group.students.map(id => byId.get(id.toString()) || { id });
+
+  return {
+    flagged: flagged.map(record => ({
+      id: record._id,
+      lectureId: record.lectureId,
+      student: record.studentId,
+      timestamp: record.timestamp,
+      status: record.status,
+      flags: record.flags
+    })),
+    sharedDevices: sharedDevices.map(group => ({
+      lectureId: group._id.lectureId,
+      students: describe(group)
+    })),
+    sharedLocations: sharedLocations.map(group => ({
+      lectureId: group._id.lectureId,
+      location: { lat: group._id.lat, lng: group._id.lng },
+      students: describe(group)
+    }))
+  };
+};
+
+// Static method to get a student's lecture-by-lecture timeline for a class,
+// newest first. Covers lectures and sessions the student is counted for (see
+// countsFor); lectures without a record are listed as absent.
+attendanceSchema.statics.getStudentHistory = async function(studentId, classId, options = {}) {
+  const held = await this.getHeldLectures(classId, options);
+
+  const records = await this.find({
+    lectureId: { $in: [...held.keys()] },
+    studentId
+  }).select('lectureId status timestamp markedBy');
+  const byLecture = new Map(records.map(record => [record.lectureId, record]));
+  const studentMarks = new Map(records.map(record => [record.lectureId, record.status]));
+
+  return [...held]
+    .filter(([lectureId, lecture]) => countsFor(lecture, studentId, studentMarks, lectureId))
+    .map(([lectureId, lecture]) => {
+      const record = byLecture.get(lectureId);
+      return {
+        lectureId,
+        type: lecture.type,
+        title: lecture.title,
+        subjectId: lecture.subjectId,
+        startTime: lecture.startTime,
+        status: record ? record.status : 'absent',
+        markedAt: record ? record.timestamp : null,
+        markedBy: record ? record.markedBy : null
+      };
+    })
+    .reverse();
+};
+
+function emptyCounts() {
+  return { total: 0, present: 0, late: 0, excused: 0, absent: 0 };
+}
+
+// Excused lectures don't count against the student; late marks earn lateCredit
+function attendanceRate(counts, lateCredit = 1) {
+  const counted = counts.total - counts.excused;
+  return counted > 0
+    ? Number((((counts.present + counts.late * lateCredit) / counted) * 100).toFixed(1))
+    : 0;
+}
+
+// Lectures needed in a row to reach `target` percent, or lectures that can
+// still be missed while staying at or above it (needed is null when the
+// target can't be reached)
+function projectTarget(counts, target, lateCredit = 1) {
+  const attended = counts.present + counts.late * lateCredit;
+  const counted = counts.total - counts.excused;
+  const ratio = target / 100;
+  const EPSILON = 1e-9;
+
+  if (counted === 0 || attended / counted >= ratio - EPSILON) {
+    return {
+      target,
+      needed: 0,
+      canMiss: ratio > 0 ? Math.max(Math.floor(attended / ratio - counted + EPSILON), 0) : null
+    };
+  }
+
+  return {
+    target,
+    needed: ratio < 1 ? Math.ceil((ratio * counted - attended) / (1 - ratio) - EPSILON) : null,
+    canMiss: 0
+  };
+}
+
+// Static method to list the lectures and sessions a class has held, sorted by
+// start time. Lectures and sessions count once they have ended, so students
+// who haven't scanned into a running one aren't counted absent yet. Returns a
+// Map of lectureId -> { type, title, subjectId, startTime, roster } where
+// roster is the Set of student ids the lecture ended with, or null for
+// lectures that ended before roster snapshots were kept.
+attendanceSchema.statics.getHeldLectures = async function(classId, { startDate, endDate, subjectId } = {}) {
   const Lecture = mongoose.model('Lecture');
-  
-  const lectures = await Lecture.find({ classId }).select('_id');
-  const lectureIds = lectures.map(l => l._id);
-  
-  return this.find({ 
+  const Session = mongoose.model('Session');
+
+  const filter = { classId };
+  if (subjectId) filter.subjectId = subjectId;
+  if (startDate || endDate) {
+    filter.startTime = {};
+    if (startDate) filter.startTime.$gte = new Date(startDate);
+    if (endDate) filter.startTime.$lte = new Date(endDate);
+  }
+
+  const [lectures, sessions] = await Promise.all([
+    Lecture.find({ ...filter, status: 'completed' }).select('title subjectId startTime roster rosterSnapshotAt'),
+    Session.find({ ...filter, $or: [{ isActive: false }, { endTime: { $lte: new Date() } }] })
+      .select('subjectName subjectId startTime roster rosterSnapshotAt')
+  ]);
+
+  const describe = (doc, type) => ({
+    type,
+    title: type === 'lecture' ? doc.title : doc.subjectName,
+    subjectId: doc.subjectId,
+    startTime: doc.startTime,
+    roster: doc.rosterSnapshotAt ? new Set(doc.roster.map(id => id.toString())) : null
+  });
+
+  const held = [
+    ...lectures.map(l => [l._id.toString(), describe(l, 'lecture')]),
+    ...sessions.map(s => [s._id, describe(s, 'session')])
+  ].sort((a, b) => a[1].startTime - b[1].startTime);
+
+  return new Map(held);
+};
+
+// Static method to look up statuses as a Map of studentId -> lectureId -> status
+attendanceSchema.statics.getMarks = async function(lectureIds, studentIds) {
+  const records = await this.find({
     lectureId: { $in: lectureIds },
-    studentId 
-  })
-  .populate('lectureId', 'title startTime subjectId')
-  .sort({ timestamp: -1 });
+    studentId: { $in: studentIds }
+  }).select('lectureId studentId status');
+
+  const marks = new Map();
+  records.forEach(record => {
+    const key = record.studentId.toString();
+
+    if (!marks.has(key)) marks.set(key, new Map());
+    marks.get(key).set(record.lectureId, record.status);
+  });
+
+  return marks;
+};
+
+// Check if a student is counted for a held lecture: students who joined the
+// class after the lecture ended aren't, unless they have a record for it
+function countsFor(lecture, studentId, studentMarks, lectureId) {
+  return !lecture.roster || lecture.roster.has(studentId.toString()) || studentMarks.has(lectureId);
+}
+
+// Static method to get attendance statistics for a class: totals, per subject
+// and per student (each with a per-subject breakdown)
+attendanceSchema.statics.getStats = async function(classId, { startDate, endDate, subjectId, studentId } = {}) {
+  const Class = mongoose.model('Class');
+
+  const classDoc = await Class.findById(classId).populate('students', 'name email');
+  if (!classDoc) return null;
+
+  const held = await this.getHeldLectures(classDoc._id, { startDate, endDate, subjectId });
+
+  let roster = classDoc.students;
+  if (studentId) {
+    roster = roster.filter(student => student._id.toString() === studentId.toString());
+  }
+
+  const marks = await this.getMarks([...held.keys()], roster.map(student => student._id));
+
+  const subjectNames = new Map(classDoc.subjects.map(s => [s.code, s.name]));
+  const { lateCredit } = resolvePolicy(classDoc);
+  const rate = (counts) => attendanceRate(counts, lateCredit);
+  const totals = emptyCounts();
+  const subjectTotals = new Map();
+  const heldPerSubject = new Map();
+
+  held.forEach(lecture => {
+    heldPerSubject.set(lecture.subjectId, (heldPerSubject.get(lecture.subjectId) || 0) + 1);
+  });
+
+  const students = roster.map(student => {
+    const studentMarks = marks.get(student._id.toString()) || new Map();
+    const counts = emptyCounts();
+    const bySubject = new Map();
+
+    held.forEach((lecture, lectureId) => {
+      if (!countsFor(lecture, student._id, studentMarks, lectureId)) return;
+
+      const status = studentMarks.get(lectureId) || 'absent';
+
+      if (!bySubject.has(lecture.subjectId)) bySubject.set(lecture.subjectId, emptyCounts());
+      if (!subjectTotals.has(lecture.subjectId)) subjectTotals.set(lecture.subjectId, emptyCounts());
+
+      [counts, bySubject.get(lecture.subjectId), subjectTotals.get(lecture.subjectId), totals].forEach(c => {
+        c.total++;
+        c[status]++;
+      });
+    });
+
+    return {
+      student: {
+        id: student._id,
+        name: student.name,
+        email: student.email
+      },
+      ...counts,
+      attendanceRate: rate(counts),
+      subjects: [...bySubject].map(([code, subjectCounts]) => ({
+        subjectId: code,
+        subjectName: subjectNames.get(code) || code,
+        ...subjectCounts,
+        attendanceRate: rate(subjectCounts)
+      }))
+    };
+  });
+
+  return {
+    totalStudents: classDoc.students.length,
+    totalLectures: held.size,
+    lateCredit,
+    present: totals.present,
+    late: totals.late,
+    excused: totals.excused,
+    absent: totals.absent,
+    attendanceRate: rate(totals),
+    subjects: [...heldPerSubject].map(([code, totalLectures]) => {
+      const subjectCounts = subjectTotals.get(code) || emptyCounts();
+      return {
+        subjectId: code,
+        subjectName: subjectNames.get(code) || code,
+        totalLectures,
+        present: subjectCounts.present,
+        late: subjectCounts.late,
+        excused: subjectCounts.excused,
+        absent: subjectCounts.absent,
+        attendanceRate: rate(subjectCounts)
+      };
+    }),
+    students
+  };
 };
 
+attendanceSchema.statics.STATUSES = STATUSES;
+attendanceSchema.statics.attendanceRate = attendanceRate;
+attendanceSchema.statics.projectTarget = projectTarget;
+attendanceSchema.statics.countsFor = countsFor;
+
 module.exports = mongoose.model('Attendance', attendanceSchema);
\ No newline at end of file
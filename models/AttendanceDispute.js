@@ -0,0 +1,114 @@
+// models/AttendanceDispute.js - Student requests to correct a lecture/session mark
+const mongoose = require('mongoose');
+
+const attendanceDisputeSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+  lectureId: {
+    type: String, // Lecture id or Session UUID, as in Attendance.lectureId
+    required: true
+  },
+  sessionType: {
+    type: String,
+    enum: ['lecture', 'session'],
+    required: true
+  },
+  subjectId: {
+    type: String
+  },
+  requestedStatus: {
+    type: String,
+    enum: ['present', 'late'],
+    default: 'present'
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  // What the student saw when the QR join failed
+  evidence: {
+    scannedAt: Date,
+    error: {
+      type: String,
+      trim: true,
+      maxlength: 300 // Message or code shown by the app, e.g. "Invalid or expired QR code"
+    },
+    location: {
+      lat: Number,
+      lng: Number,
+      accuracy: Number,
+      distance: Number // meters from the lecture/session location, computed on submit
+    },
+    duringLecture: Boolean // scannedAt falls between the lecture start and end
+  },
+  statusAtFiling: {
+    type: String // Attendance status when the dispute was raised (null if unmarked)
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  resolution: {
+    status: String, // Attendance status applied on acceptance
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date,
+    attendance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance'
+    },
+    historyEntry: {
+      type: mongoose.Schema.Types.ObjectId // Attendance.history entry written by the resolution
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+attendanceDisputeSchema.index({ classId: 1, status: 1, createdAt: 1 });
+attendanceDisputeSchema.index({ student: 1, createdAt: -1 });
+// One open dispute per student per lecture/session
+attendanceDisputeSchema.index(
+  { lectureId: 1, student: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Shape for API responses
+attendanceDisputeSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    student: this.student,
+    classId: this.classId,
+    lectureId: this.lectureId,
+    sessionType: this.sessionType,
+    subjectId: this.subjectId,
+    requestedStatus: this.requestedStatus,
+    reason: this.reason,
+    evidence: this.evidence,
+    statusAtFiling: this.statusAtFiling,
+    status: this.status,
+    resolution: this.resolution,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('AttendanceDispute', attendanceDisputeSchema);
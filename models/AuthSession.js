@@ -0,0 +1,124 @@
+// models/AuthSession.js - Signed-in devices and their rotating refresh tokens
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long a device stays signed in without refreshing
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function sameHash(a, b) {
+  return !!a && !!b && a.length === b.length &&
+    crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false // Hash of the current refresh token secret
+  },
+  previousTokenHash: {
+    type: String,
+    select: false // Hash of the token it replaced, to detect reuse
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true // Document is removed by MongoDB once this passes
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+authSessionSchema.index({ user: 1, revokedAt: 1 });
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the session can still be used
+authSessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Issue a new refresh token secret for this session (caller saves)
+authSessionSchema.methods.issueRefreshToken = function() {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  this.previousTokenHash = this.tokenHash;
+  this.tokenHash = hashSecret(secret);
+  this.lastUsedAt = new Date();
+  this.expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  return `${this._id}.${secret}`;
+};
+
+// Revoke the session so neither its refresh nor access tokens work
+authSessionSchema.methods.revoke = async function(reason) {
+  if (this.revokedAt) return;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+};
+
+// Start a session for a user. Returns { session, refreshToken }.
+authSessionSchema.statics.start = async function(user, { userAgent, ip } = {}) {
+  const session = new this({ user: user._id, userAgent, ip });
+  const refreshToken = session.issueRefreshToken();
+  await session.save();
+  return { session, refreshToken };
+};
+
+// Exchange a refresh token for a new one. Presenting an already rotated
+// token means it leaked, so the whole session is revoked.
+// Returns { session, refreshToken } or { error }.
+authSessionSchema.statics.rotate = async function(refreshToken) {
+  const [id, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  const session = id && secret && mongoose.isValidObjectId(id)
+    ? await this.findById(id).select('+tokenHash +previousTokenHash')
+    : null;
+
+  if (!session || !session.isValid()) {
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  const hash = hashSecret(secret);
+  if (sameHash(hash, session.previousTokenHash)) {
+    await session.revoke('refresh_token_reuse');
+    console.log(`Refresh token reuse detected, session ${session._id} revoked`);
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  if (!sameHash(hash, session.tokenHash)) {
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  const nextToken = session.issueRefreshToken();
+  await session.save();
+  return { session, refreshToken: nextToken };
+};
+
+// Revoke every open session of a user; returns how many were revoked
+authSessionSchema.statics.revokeAll = async function(userId, reason) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 
+// What class staff can be allowed to do; the owner (teacher) can do everything
+const STAFF_PERMISSIONS = ['start_lectures', 'edit_attendance', 'manage_roster', 'view'];
+
+// Permissions given to a staff role when none are specified
+const STAFF_ROLE_DEFAULTS = {
+  'co-teacher': ['start_lectures', 'edit_attendance', 'manage_roster', 'view'],
+  ta: ['start_lectures', 'view']
+};
+
 const classSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -17,11 +26,55 @@ const classSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  joinRequests: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   teacher: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: true // Class owner
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null // Department id within the organization
   },
+  staff: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: Object.keys(STAFF_ROLE_DEFAULTS),
+      required: true
+    },
+    permissions: [{
+      type: String,
+      enum: STAFF_PERMISSIONS
+    }],
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   subjects: [{
     name: {
       type: String,
@@ -46,6 +99,77 @@ const classSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  settings: {
+    requireApproval: {
+      type: Boolean,
+      default: false // When true, students joining by class code wait for teacher approval
+    },
+    autoStartLectures: {
+      type: Boolean,
+      default: false // Generated lectures go live on their own at their start time
+    },
+    // Proxy-attendance checks on QR joins, see utils/deviceCheck.js
+    devicePolicy: {
+      oneDevicePerStudent: {
+        type: String,
+        enum: ['off', 'flag', 'block'],
+        default: 'flag'
+      },
+      oneStudentPerDevice: {
+        type: String,
+        enum: ['off', 'flag', 'block'],
+        default: 'flag'
+      }
+    }
+  },
+  // Low-attendance notifications, see utils/attendanceAlerts.js
+  attendanceAlerts: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    thresholds: {
+      type: [Number], // Percentages, e.g. [85, 75] for a warning and a final notice
+      default: undefined
+    },
+    perSubject: {
+      type: Boolean,
+      default: true // Also alert on each subject's rate, not just the class overall
+    },
+    minLectures: {
+      type: Number,
+      default: 3,
+      min: 0
+    },
+    notifyTeacher: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Late/close rules for joins, see utils/attendancePolicy.js
+  attendancePolicy: {
+    graceMinutes: {
+      type: Number,
+      default: 10,
+      min: 0
+    },
+    lateCutoffMinutes: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    closeAfterMinutes: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    lateCredit: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 1
+    }
+  },
   schedule: {
     days: [{
       type: String,
@@ -54,6 +178,26 @@ const classSchema = new mongoose.Schema({
     startTime: String,
     endTime: String,
     room: String
+  },
+  timetable: [{
+    subjectId: {
+      type: String,
+      required: true // Subject code from the subjects array
+    },
+    days: [{
+      type: String,
+      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+    }],
+    startTime: {
+      type: String,
+      required: true // HH:MM
+    },
+    endTime: String, // HH:MM
+    room: String
+  }],
+  term: {
+    startDate: Date,
+    endDate: Date
   }
 }, {
   timestamps: true
@@ -61,8 +205,11 @@ const classSchema = new mongoose.Schema({
 
 // Index for faster queries
 classSchema.index({ teacher: 1 });
+classSchema.index({ 'staff.user': 1 });
+classSchema.index({ organization: 1, department: 1 });
 classSchema.index({ classCode: 1 });
 classSchema.index({ students: 1 });
+classSchema.index({ 'joinRequests.student': 1 });
 
 // Generate unique class code
 classSchema.statics.generateClassCode = async function() {
@@ -78,6 +225,78 @@ classSchema.statics.generateClassCode = async function() {
   return code;
 };
 
+// Check if a user is enrolled as a student
+classSchema.methods.hasStudent = function(userId) {
+  return this.students.some(student => (student._id || student).toString() === userId.toString());
+};
+
+// Check if a user has a pending join request
+classSchema.methods.hasPendingRequest = function(userId) {
+  return this.joinRequests.some(request => (request.student._id || request.student).toString() === userId.toString());
+};
+
+// Query filter for classes where a user is the owner or a staff member
+// with the given permission (any staff member can view)
+classSchema.statics.staffFilter = function(userId, permission = 'view') {
+  return {
+    $or: [
+      { teacher: userId },
+      permission === 'view'
+        ? { 'staff.user': userId }
+        : { staff: { $elemMatch: { user: userId, permissions: permission } } }
+    ]
+  };
+};
+
+// Query filter for classes a user can access with a permission. Admins can
+// view every class in their institution or department.
+classSchema.statics.accessFilter = function(user, permission = 'view') {
+  const adminScope = permission === 'view' && user.getAdminScope();
+  return adminScope || this.staffFilter(user._id, permission);
+};
+
+// Get a user's staff entry, if any
+classSchema.methods.getStaffMember = function(userId) {
+  return this.staff.find(member => (member.user._id || member.user).toString() === userId.toString());
+};
+
+// Check if a user owns the class
+classSchema.methods.isOwner = function(userId) {
+  return (this.teacher._id || this.teacher).toString() === userId.toString();
+};
+
+// Get a user's role on the class staff: 'owner', 'co-teacher', 'ta' or null
+classSchema.methods.getStaffRole = function(userId) {
+  if (this.isOwner(userId)) return 'owner';
+  const member = this.getStaffMember(userId);
+  return member ? member.role : null;
+};
+
+// Get the permissions a user has on the class
+classSchema.methods.getPermissions = function(userId) {
+  if (this.isOwner(userId)) return [...STAFF_PERMISSIONS];
+  const member = this.getStaffMember(userId);
+  if (!member) return [];
+  return STAFF_PERMISSIONS.filter(permission => permission === 'view' || member.permissions.includes(permission));
+};
+
+// Check if a user has a permission on the class
+classSchema.methods.hasPermission = function(userId, permission = 'view') {
+  return this.getPermissions(userId).includes(permission);
+};
+
+// Check if a user can view the class as staff or as an admin over it
+classSchema.methods.canView = function(user) {
+  if (this.hasPermission(user._id, 'view')) return true;
+
+  const adminScope = user.getAdminScope();
+  return !!adminScope && Object.keys(adminScope).every(key =>
+    String(this[key] || '') === String(adminScope[key]));
+};
+
+classSchema.statics.STAFF_PERMISSIONS = STAFF_PERMISSIONS;
+classSchema.statics.STAFF_ROLE_DEFAULTS = STAFF_ROLE_DEFAULTS;
+
 // Virtual for student count
 classSchema.virtual('studentCount').get(function() {
   return this.students.length;
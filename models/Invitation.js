@@ -0,0 +1,71 @@
+// models/Invitation.js - Pending class enrollments for students who haven't signed in yet
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+invitationSchema.index({ classId: 1, email: 1 }, { unique: true });
+invitationSchema.index({ email: 1, status: 1 });
+
+// Enroll a user in every active class of their institution with a pending
+// invitation for their email. Returns the ids of the classes joined.
+invitationSchema.statics.acceptPending = async function(user) {
+  const Class = mongoose.model('Class');
+
+  const invitations = await this.find({
+    email: user.email.toLowerCase(),
+    status: 'pending'
+  });
+
+  const joined = [];
+  for (const invitation of invitations) {
+    const result = await Class.updateOne(
+      { _id: invitation.classId, isActive: true, organization: user.organization || null },
+      { $addToSet: { students: user._id } }
+    );
+
+    invitation.status = 'accepted';
+    invitation.acceptedBy = user._id;
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    if (result.matchedCount > 0) {
+      joined.push(invitation.classId);
+    }
+  }
+
+  return joined;
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,155 @@
+// models/LeaveRequest.js - Student leave (medical/official) for missed lectures
+const mongoose = require('mongoose');
+
+const leaveRequestSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['medical', 'official', 'personal', 'other'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  // Leave covers every lecture/session starting in [startDate, endDate],
+  // plus any listed in lectureIds (Lecture ids or Session UUIDs)
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  lectureIds: [{
+    type: String
+  }],
+  attachment: {
+    filename: String,
+    contentType: String,
+    size: Number,
+    data: {
+      type: Buffer,
+      select: false
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Lectures whose absences were converted to excused
+  excusedLectureIds: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+leaveRequestSchema.index({ classId: 1, status: 1, createdAt: -1 });
+leaveRequestSchema.index({ student: 1, createdAt: -1 });
+
+// Check if the leave covers a lecture/session
+leaveRequestSchema.methods.covers = function(lectureId, startTime) {
+  if (this.lectureIds.includes(lectureId.toString())) return true;
+  return !!(this.startDate && this.endDate && startTime &&
+    startTime >= this.startDate && startTime <= this.endDate);
+};
+
+// Students with approved leave covering a lecture/session of a class, as a
+// Map of studentId -> leave request id
+leaveRequestSchema.statics.findExcusedStudents = async function(classId, lectureId, startTime) {
+  const coverage = [{ lectureIds: lectureId.toString() }];
+  if (startTime) {
+    coverage.push({ startDate: { $lte: startTime }, endDate: { $gte: startTime } });
+  }
+
+  const approved = await this.find({
+    classId,
+    status: 'approved',
+    $or: coverage
+  }).select('student');
+
+  return new Map(approved.map(leave => [leave.student.toString(), leave._id]));
+};
+
+// Excuse the student's absences in finished lectures the leave covers and
+// record them in excusedLectureIds; lectures still to finish are excused
+// when their absences are recorded. Returns the lecture ids excused now.
+leaveRequestSchema.methods.excuseAbsences = async function(reviewerId) {
+  const Attendance = mongoose.model('Attendance');
+  const studentId = this.student.toString();
+
+  const held = await Attendance.getHeldLectures(this.classId);
+  const covered = [...held].filter(([lectureId, lecture]) => lecture.roster && this.covers(lectureId, lecture.startTime));
+
+  const marks = await Attendance.getMarks(covered.map(([lectureId]) => lectureId), [this.student]);
+  const studentMarks = marks.get(studentId) || new Map();
+  const excused = [];
+
+  for (const [lectureId, lecture] of covered) {
+    const status = studentMarks.get(lectureId);
+    // Only absences: an existing absent record, or a roster student with none
+    if (status ? status !== 'absent' : !lecture.roster.has(studentId)) continue;
+
+    await Attendance.setStatus({
+      lectureId,
+      studentId: this.student,
+      classId: this.classId,
+      subjectId: lecture.subjectId,
+      sessionType: lecture.type
+    }, 'excused', { changedBy: reviewerId, reason: `Approved ${this.type} leave` });
+    excused.push(lectureId);
+  }
+
+  this.excusedLectureIds = [...new Set([...this.excusedLectureIds, ...excused])];
+  return excused;
+};
+
+// Shape for API responses
+leaveRequestSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    student: this.student,
+    classId: this.classId,
+    type: this.type,
+    reason: this.reason,
+    startDate: this.startDate,
+    endDate: this.endDate,
+    lectureIds: this.lectureIds,
+    attachment: this.attachment?.filename
+      ? { filename: this.attachment.filename, contentType: this.attachment.contentType, size: this.attachment.size }
+      : null,
+    status: this.status,
+    reviewedBy: this.reviewedBy,
+    reviewedAt: this.reviewedAt,
+    reviewNote: this.reviewNote,
+    excusedLectures: this.excusedLectureIds.length,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
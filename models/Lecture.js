@@ -1,5 +1,15 @@
 // models/Lecture.js
 const mongoose = require('mongoose');
+const qrToken = require('../utils/qrToken');
+const attendanceAlerts = require('../utils/attendanceAlerts');
+
+// Allowed status changes; completed and cancelled are final
+const TRANSITIONS = {
+  scheduled: ['active', 'cancelled'],
+  active: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
 
 const lectureSchema = new mongoose.Schema({
   classId: {
@@ -32,28 +42,32 @@ const lectureSchema = new mongoose.Schema({
   endTime: {
     type: Date
   },
+  scheduledStartTime: {
+    type: Date // Set for lectures generated from the class timetable
+  },
+  room: {
+    type: String,
+    trim: true
+  },
   duration: {
     type: Number, // in minutes
     default: 60
   },
-  qrToken: {
-    type: String,
-    unique: true,
-    sparse: true
-  },
-  qrCode: {
-    type: String // Base64 encoded QR code image
+  qrSecret: {
+    type: String, // Signs the rotating QR tokens, never sent to clients
+    select: false
   },
-  qrTokenExpiry: {
+  roster: [{
+    type: mongoose.Schema.Types.ObjectId, // Enrolled students when the lecture ended
+    ref: 'User'
+  }],
+  rosterSnapshotAt: {
     type: Date
   },
   studentsJoined: {
     type: Number,
     default: 0
   },
-  joinUrl: {
-    type: String
-  },
   location: {
     latitude: Number,
     longitude: Number,
@@ -64,6 +78,9 @@ const lectureSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    maxLocationAccuracy: {
+      type: Number // meters; falls back to MAX_LOCATION_ACCURACY
+    },
     allowLateJoin: {
       type: Boolean,
       default: true
@@ -71,6 +88,17 @@ const lectureSchema = new mongoose.Schema({
     autoEnd: {
       type: Boolean,
       default: true
+    },
+    autoStart: {
+      type: Boolean,
+      default: false
+    },
+    // Per-lecture overrides of the class attendance policy; unset fields inherit
+    attendancePolicy: {
+      graceMinutes: Number,
+      lateCutoffMinutes: Number,
+      closeAfterMinutes: Number,
+      lateCredit: Number
     }
   }
 }, {
@@ -80,42 +108,185 @@ const lectureSchema = new mongoose.Schema({
 // Index for faster queries
 lectureSchema.index({ classId: 1 });
 lectureSchema.index({ subjectId: 1 });
-lectureSchema.index({ qrToken: 1 });
 lectureSchema.index({ status: 1 });
 lectureSchema.index({ startTime: 1 });
+lectureSchema.index({ classId: 1, status: 1 });
+lectureSchema.index(
+  { classId: 1, subjectId: 1, scheduledStartTime: 1 },
+  { unique: true, partialFilterExpression: { scheduledStartTime: { $exists: true } } }
+);
 
-// Generate unique QR token with 5-second expiry
-lectureSchema.methods.generateQRToken = function() {
-  const token = Math.random().toString(36).substring(2, 15) + 
-                Math.random().toString(36).substring(2, 15);
-  this.qrToken = token;
-  this.qrTokenExpiry = new Date(Date.now() + 5 * 1000); // 5 seconds
-  return token;
+// Time the lecture is due to finish
+lectureSchema.virtual('scheduledEndTime').get(function() {
+  return new Date(this.startTime.getTime() + (this.duration || 0) * 60 * 1000);
+});
+
+// Check if a status change is allowed
+lectureSchema.methods.canTransitionTo = function(status) {
+  return (TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the lecture to a new status, stamping start/end times (does not save)
+lectureSchema.methods.transitionTo = function(status, at = new Date()) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot change lecture from ${this.status} to ${status}`);
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  if (status === 'active') {
+    this.startTime = at;
+    this.endTime = undefined;
+    this.ensureQRSecret();
+  } else if (status === 'completed' || status === 'cancelled') {
+    this.endTime = at;
+    this.qrSecret = undefined;
+  }
+
+  this.status = status;
+  return this;
+};
+
+// Geofence for join checks, or null if the lecture has no location set
+lectureSchema.methods.getGeofence = function() {
+  const { latitude, longitude, radius } = this.location || {};
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+    return null;
+  }
+  return { lat: latitude, lng: longitude, radius: radius || 100 };
 };
 
-// Check if QR token is valid
-lectureSchema.methods.isQRTokenValid = function() {
-  return this.qrToken && this.qrTokenExpiry && new Date() < this.qrTokenExpiry;
+// Check if an active lecture has run past its duration and should auto-end
+lectureSchema.methods.isOverdue = function(now = new Date()) {
+  return this.status === 'active' && this.settings?.autoEnd !== false && now >= this.scheduledEndTime;
+};
+
+// Create the QR signing secret if the lecture does not have one yet
+lectureSchema.methods.ensureQRSecret = function() {
+  if (!this.qrSecret) {
+    this.qrSecret = qrToken.generateSecret();
+  }
+  return this.qrSecret;
 };
 
-// Auto-refresh token every 5 seconds for active lectures
-lectureSchema.methods.refreshToken = async function() {
-  if (this.status === 'active') {
-    this.generateQRToken();
-    await this.save();
-    return this.qrToken;
+// Get the QR token for the current rotation window (no database write)
+lectureSchema.methods.getCurrentQRToken = function() {
+  if (this.status !== 'active' || !this.qrSecret) {
+    return null;
   }
-  return null;
+  return qrToken.signToken(this._id.toString(), this.qrSecret);
 };
 
-// Clean up expired tokens
+// Check a scanned QR token against this lecture
+lectureSchema.methods.verifyQRToken = function(token) {
+  return this.status === 'active' && qrToken.verifyToken(token, this._id.toString(), this.qrSecret);
+};
+
+// Recount present/late students onto the lecture; returns the count
+lectureSchema.methods.syncStudentsJoined = async function() {
+  const Attendance = mongoose.model('Attendance');
+
+  this.studentsJoined = await Attendance.countAttended(this._id);
+  await this.constructor.updateOne({ _id: this._id }, { studentsJoined: this.studentsJoined });
+  return this.studentsJoined;
+};
+
+// Snapshot the class roster and record every enrolled student who didn't
+// join as absent, so later roster changes don't rewrite history.
+// Returns the number of absences created.
+lectureSchema.methods.finalizeAttendance = async function() {
+  const Class = mongoose.model('Class');
+  const Attendance = mongoose.model('Attendance');
+
+  const classDoc = await Class.findById(this.classId).select('students');
+  this.roster = classDoc ? classDoc.students : [];
+  this.rosterSnapshotAt = new Date();
+  await this.save();
+
+  const created = await Attendance.materializeAbsences({
+    lectureId: this._id,
+    classId: this.classId,
+    subjectId: this.subjectId,
+    sessionType: 'lecture',
+    startTime: this.startTime,
+    roster: this.roster
+  }, this.endTime);
+
+  attendanceAlerts.scheduleCheck(this.classId);
+  return created;
+};
+
+// Start scheduled lectures with autoStart on once their start time arrives,
+// unless the class already has a live lecture. Returns the started lectures.
+lectureSchema.statics.autoStartDue = async function(now = new Date()) {
+  const due = await this.find({
+    status: 'scheduled',
+    'settings.autoStart': true,
+    startTime: { $lte: now },
+    $expr: {
+      $gt: [{ $add: ['$startTime', { $multiply: ['$duration', 60 * 1000] }] }, now]
+    }
+  }).sort({ startTime: 1 });
+
+  const started = [];
+  for (const lecture of due) {
+    // One failing lecture must not hold up the rest
+    try {
+      const busy = await this.exists({ classId: lecture.classId, status: 'active' });
+      if (busy) continue;
+
+      lecture.transitionTo('active', lecture.startTime);
+      await lecture.save();
+      started.push(lecture);
+    } catch (error) {
+      console.error(`Auto-start of lecture ${lecture._id} failed:`, error);
+    }
+  }
+
+  return started;
+};
+
+// Complete active lectures that ran past their duration with autoEnd on.
+// Returns the lectures that were ended.
+lectureSchema.statics.autoEndExpired = async function(now = new Date()) {
+  const overdue = await this.find({
+    status: 'active',
+    'settings.autoEnd': { $ne: false },
+    $expr: {
+      $lte: [{ $add: ['$startTime', { $multiply: ['$duration', 60 * 1000] }] }, now]
+    }
+  });
+
+  const ended = [];
+  for (const lecture of overdue) {
+    try {
+      lecture.transitionTo('completed', lecture.scheduledEndTime);
+      await lecture.save();
+      ended.push(lecture);
+      await lecture.finalizeAttendance();
+    } catch (error) {
+      console.error(`Auto-end of lecture ${lecture._id} failed:`, error);
+    }
+  }
+
+  return ended;
+};
+
+// Drop signing secrets of lectures that are no longer running
 lectureSchema.statics.cleanupExpiredTokens = async function() {
   const result = await this.updateMany(
-    { qrTokenExpiry: { $lt: new Date() } },
-    { $unset: { qrToken: 1, qrTokenExpiry: 1, qrCode: 1 } }
+    { status: { $ne: 'active' }, qrSecret: { $exists: true } },
+    { $unset: { qrSecret: 1 } }
   );
   return result;
 };
 
+lectureSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.qrSecret;
+    return ret;
+  }
+});
 
 module.exports = mongoose.model('Lecture', lectureSchema);
\ No newline at end of file
@@ -0,0 +1,99 @@
+// models/Notification.js - In-app notifications (see utils/notifications.js)
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 180;
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['low_attendance', 'low_attendance_staff', 'leave_request', 'leave_decision',
+      'attendance_dispute', 'dispute_decision'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed, // Type-specific details for the client
+    default: {}
+  },
+  // Alert rules keep one open notification per key until the condition
+  // clears (resolvedAt), so a student isn't alerted again on every check
+  key: {
+    type: String
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  email: {
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    sentAt: Date,
+    error: String
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ classId: 1, type: 1, resolvedAt: 1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Count a user's unread notifications
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+// Mark a user's notifications as read (all of them when ids is omitted)
+notificationSchema.statics.markRead = function(userId, ids) {
+  const filter = { user: userId, readAt: null };
+  if (ids) filter._id = { $in: ids };
+  return this.updateMany(filter, { readAt: new Date() });
+};
+
+// Shape for inbox responses
+notificationSchema.methods.toInboxItem = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    title: this.title,
+    message: this.message,
+    classId: this.classId,
+    data: this.data,
+    read: !!this.readAt,
+    readAt: this.readAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,80 @@
+// models/Organization.js - Institutions and their departments
+const mongoose = require('mongoose');
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 150
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  // Email domains whose users belong to this institution
+  domains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Email patterns mapped to roles, see utils/signupPolicy.js
+  roleRules: [{
+    pattern: {
+      type: String,
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['teacher', 'student'],
+      required: true
+    },
+    description: String
+  }],
+  departments: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+organizationSchema.index({ domains: 1 });
+
+// Find the active institution that owns an email's domain
+organizationSchema.statics.findForEmail = function(email) {
+  const domain = String(email || '').split('@')[1];
+  if (!domain) return Promise.resolve(null);
+
+  return this.findOne({ domains: domain.toLowerCase(), isActive: true });
+};
+
+// Get an active department by id
+organizationSchema.methods.getDepartment = function(departmentId) {
+  if (!departmentId) return null;
+  const department = this.departments.id(departmentId);
+  return department && department.isActive ? department : null;
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
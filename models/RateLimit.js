@@ -0,0 +1,37 @@
+// models/RateLimit.js - Shared rate limit and lockout state (see utils/rateLimitStore.js)
+const mongoose = require('mongoose');
+
+const rateLimitSchema = new mongoose.Schema({
+  _id: {
+    type: String // Limiter name and key, e.g. "join:user:<id>"
+  },
+  tat: {
+    type: Date // Theoretical arrival time of the next request (GCRA)
+  },
+  base: {
+    type: Date // Start point used by the last request
+  },
+  allowed: {
+    type: Boolean // Whether the last request was let through
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  failuresResetAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date // Document is removed by MongoDB once this passes
+  }
+}, {
+  versionKey: false
+});
+
+// Index for faster queries
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,195 @@
+// models/Session.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const qrToken = require('../utils/qrToken');
+const attendanceAlerts = require('../utils/attendanceAlerts');
+
+// How long ended sessions are kept for reports and exports
+const RETENTION_DAYS = parseInt(process.env.SESSION_RETENTION_DAYS, 10) || 180;
+
+const sessionSchema = new mongoose.Schema({
+  _id: {
+    type: String, // UUID, also stored as Attendance.lectureId
+    default: () => crypto.randomUUID()
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+  subjectId: {
+    type: String,
+    required: true // Subject code from the class subjects array
+  },
+  subjectName: {
+    type: String,
+    required: true
+  },
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  duration: {
+    type: Number, // in minutes
+    required: true
+  },
+  location: {
+    type: { type: String }, // 'restricted' enables the radius check on join
+    coordinates: {
+      lat: Number,
+      lng: Number
+    },
+    radius: Number
+  },
+  qrSecret: {
+    type: String, // Signs the rotating QR tokens, never sent to clients
+    select: false,
+    default: () => qrToken.generateSecret()
+  },
+  startTime: {
+    type: Date,
+    default: Date.now
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  attendees: [{
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    studentName: String,
+    email: String,
+    status: {
+      type: String,
+      enum: ['present', 'late']
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  roster: [{
+    type: mongoose.Schema.Types.ObjectId, // Enrolled students when the session ended
+    ref: 'User'
+  }],
+  rosterSnapshotAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date // Document is removed by MongoDB once this passes
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+sessionSchema.index({ teacherId: 1, startTime: -1 });
+sessionSchema.index({ classId: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Keep the TTL in step with the end time
+sessionSchema.pre('save', function(next) {
+  if (this.isModified('endTime') || !this.expiresAt) {
+    this.expiresAt = new Date(this.endTime.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  }
+  next();
+});
+
+// Check if the session is still accepting attendance
+sessionSchema.methods.isLive = function() {
+  return this.isActive && new Date() <= this.endTime;
+};
+
+// Get the QR token for the current rotation window (no database write)
+sessionSchema.methods.getCurrentQRToken = function() {
+  return qrToken.signToken(this._id, this.qrSecret);
+};
+
+// Check a scanned QR token against this session
+sessionSchema.methods.verifyQRToken = function(token) {
+  return qrToken.verifyToken(token, this._id, this.qrSecret);
+};
+
+// Keep the attendee list in step with a student's attendance record: it
+// lists students counted as attending
+sessionSchema.methods.syncAttendee = async function(attendance) {
+  const Session = this.constructor;
+  const { studentId, status } = attendance;
+
+  if (!['present', 'late'].includes(status)) {
+    return Session.updateOne({ _id: this._id }, { $pull: { attendees: { studentId } } });
+  }
+
+  const student = await mongoose.model('User').findById(studentId).select('name email');
+  await Session.updateOne(
+    { _id: this._id, 'attendees.studentId': { $ne: studentId } },
+    {
+      $push: {
+        attendees: {
+          studentId,
+          studentName: student?.name,
+          email: student?.email,
+          status,
+          timestamp: attendance.timestamp
+        }
+      }
+    }
+  );
+  await Session.updateOne(
+    { _id: this._id, 'attendees.studentId': studentId },
+    { $set: { 'attendees.$.status': status } }
+  );
+};
+
+// End the session now, snapshot the class roster and record every enrolled
+// student who didn't join as absent. Once the roster has been snapshotted
+// the session is over and this is a no-op.
+sessionSchema.methods.end = async function() {
+  if (this.rosterSnapshotAt) {
+    return this;
+  }
+
+  const Class = mongoose.model('Class');
+  const Attendance = mongoose.model('Attendance');
+
+  const classDoc = await Class.findById(this.classId).select('students');
+  this.isActive = false;
+  if (this.endTime > new Date()) {
+    this.endTime = new Date();
+  }
+  this.roster = classDoc ? classDoc.students : [];
+  this.rosterSnapshotAt = new Date();
+  await this.save();
+
+  await Attendance.materializeAbsences({
+    lectureId: this._id,
+    classId: this.classId,
+    subjectId: this.subjectId,
+    sessionType: 'session',
+    startTime: this.startTime,
+    roster: this.roster
+  }, this.endTime);
+
+  attendanceAlerts.scheduleCheck(this.classId);
+  return this;
+};
+
+// End sessions past their end time. Returns the sessions that were ended.
+sessionSchema.statics.closeExpired = async function() {
+  const expired = await this.find({ isActive: true, endTime: { $lt: new Date() } });
+
+  for (const session of expired) {
+    await session.end();
+  }
+
+  return expired;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -21,10 +21,64 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['teacher', 'student', null],
+    enum: ['teacher', 'student', 'admin', null],
     default: null,
     index: true  // Only add index for role since it's not unique
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+  // Department within the organization. For admins this limits their scope
+  // to the department; admins without one manage the whole institution.
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Teacher accounts wait for an admin or a verified teacher to approve them.
+  // Teachers from before approvals existed have no status and count as verified.
+  teacherApproval: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', null],
+      default: null
+    },
+    requestedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    note: String
+  },
+  // Set when an admin assigns the role; role rules no longer override it
+  roleAssignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Bumped to invalidate every access token issued to the user
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Device the student marks attendance from (keyed hash, see utils/deviceCheck.js)
+  deviceBinding: {
+    idHash: {
+      type: String,
+      default: null
+    },
+    userAgent: String,
+    boundAt: Date
+  },
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true // Also email in-app notifications
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -37,4 +91,67 @@ const userSchema = new mongoose.Schema({
   timestamps: true // Adds createdAt and updatedAt
 });
 
+// Access tokens issued before a role change stop working
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('role')) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  next();
+});
+
+// Query filter for the records (classes, users) an admin can see
+userSchema.methods.getAdminScope = function() {
+  if (this.role !== 'admin' || !this.organization) return null;
+
+  return this.department
+    ? { organization: this.organization, department: this.department }
+    : { organization: this.organization };
+};
+
+// Check if the user is a teacher whose account has been approved
+userSchema.methods.isVerifiedTeacher = function() {
+  return this.role === 'teacher' && this.teacherApproval?.status !== 'pending';
+};
+
+// Teacher approval state for responses: 'approved', 'pending', 'rejected' or null
+userSchema.methods.getTeacherStatus = function() {
+  if (this.role === 'teacher') return this.isVerifiedTeacher() ? 'approved' : 'pending';
+  return this.teacherApproval?.status === 'rejected' ? 'rejected' : null;
+};
+
+// Mark the user as an approved teacher (caller saves)
+userSchema.methods.approveTeacher = function(reviewerId, note) {
+  this.role = 'teacher';
+  this.teacherApproval.status = 'approved';
+  this.teacherApproval.reviewedBy = reviewerId;
+  this.teacherApproval.reviewedAt = new Date();
+  this.teacherApproval.note = note;
+};
+
+// Query filter for the pending teacher requests a user may review: admins
+// see their institution (department admins also see users without a
+// department), verified teachers see their own institution
+userSchema.statics.teacherReviewFilter = function(reviewer) {
+  const filter = { role: 'teacher', 'teacherApproval.status': 'pending' };
+
+  if (reviewer.role === 'admin') {
+    if (!reviewer.organization) return null;
+    filter.organization = reviewer.organization;
+    if (reviewer.department) filter.department = { $in: [reviewer.department, null] };
+    return filter;
+  }
+
+  if (reviewer.isVerifiedTeacher()) {
+    filter.organization = reviewer.organization || null;
+    return filter;
+  }
+
+  return null;
+};
+
+// Check if two users/classes belong to the same institution (or both to none)
+userSchema.methods.sameOrganization = function(other) {
+  return String(this.organization || '') === String(other.organization?._id || other.organization || '');
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
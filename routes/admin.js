@@ -0,0 +1,522 @@
+// routes/admin.js - Institution and department administration
+const express = require('express');
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const Class = require('../models/Class');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validateRoleRules } = require('../utils/signupPolicy');
+
+const router = express.Router();
+
+// Platform operators who can create institutions (comma separated emails)
+const PLATFORM_ADMIN_EMAILS = (process.env.PLATFORM_ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+const USER_ROLES = ['teacher', 'student', 'admin'];
+
+// Only platform operators
+const requirePlatformAdmin = (req, res, next) => {
+  if (!PLATFORM_ADMIN_EMAILS.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions'
+    });
+  }
+  next();
+};
+
+// Admins assigned to an institution; sets req.adminScope
+const requireAdminScope = (req, res, next) => {
+  const scope = req.user.getAdminScope();
+  if (!scope) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin account is not assigned to an institution'
+    });
+  }
+  req.adminScope = scope;
+  next();
+};
+
+// Institution admins only (not limited to a department)
+const requireInstitutionAdmin = (req, res, next) => {
+  if (req.adminScope.department) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only institution admins can do this'
+    });
+  }
+  next();
+};
+
+const adminOnly = [authenticateToken, requireRole(['admin']), requireAdminScope];
+
+// Create an institution (platform operators). The optional adminEmail user
+// becomes its first institution admin.
+router.post('/organizations', authenticateToken, requirePlatformAdmin, async (req, res) => {
+  try {
+    const { name, code, domains = [], adminEmail } = req.body;
+
+    if (!name || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Organization name and code are required'
+      });
+    }
+
+    if (!Array.isArray(domains) || domains.some(domain => typeof domain !== 'string' || !domain.includes('.'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Domains must be a list of email domains'
+      });
+    }
+
+    const normalizedDomains = domains.map(domain => domain.trim().toLowerCase());
+    const taken = await Organization.findOne({ domains: { $in: normalizedDomains } });
+    if (taken) {
+      return res.status(400).json({
+        success: false,
+        message: `A domain is already used by ${taken.name}`
+      });
+    }
+
+    const organization = new Organization({
+      name: name.trim(),
+      code,
+      domains: normalizedDomains
+    });
+    await organization.save();
+
+    let admin = null;
+    if (adminEmail) {
+      admin = await User.findOneAndUpdate(
+        { email: String(adminEmail).trim().toLowerCase() },
+        { role: 'admin', organization: organization._id, department: null, $inc: { tokenVersion: 1 } },
+        { new: true }
+      );
+    }
+
+    console.log(`Organization created: ${organization.name} (${organization.code}) by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: admin || !adminEmail
+        ? 'Organization created successfully'
+        : 'Organization created. The admin user was not found; assign one after they sign in',
+      organization,
+      admin: admin ? { id: admin._id, email: admin.email } : null
+    });
+
+  } catch (error) {
+    console.error('Create organization error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Organization code is already in use'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create organization',
+      error: error.message
+    });
+  }
+});
+
+// Get the admin's institution and its departments
+router.get('/organization', ...adminOnly, async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.adminScope.organization);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      organization,
+      scope: req.adminScope.department ? 'department' : 'institution',
+      department: req.adminScope.department || null
+    });
+
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch organization',
+      error: error.message
+    });
+  }
+});
+
+// Replace the institution's email-to-role rules ({ rules: [{ pattern, role, description }] })
+router.put('/organization/role-rules', ...adminOnly, requireInstitutionAdmin, async (req, res) => {
+  try {
+    const { rules } = req.body;
+
+    const rulesError = validateRoleRules(rules);
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        message: rulesError
+      });
+    }
+
+    const organization = await Organization.findByIdAndUpdate(
+      req.adminScope.organization,
+      { roleRules: rules.map(({ pattern, role, description }) => ({ pattern, role, description })) },
+      { new: true, runValidators: true }
+    );
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    console.log(`Role rules updated for ${organization.code} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Role rules updated successfully',
+      roleRules: organization.roleRules
+    });
+
+  } catch (error) {
+    console.error('Update role rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role rules',
+      error: error.message
+    });
+  }
+});
+
+// Add a department
+router.post('/organization/departments', ...adminOnly, requireInstitutionAdmin, async (req, res) => {
+  try {
+    const { name, code } = req.body;
+
+    if (!name || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department name and code are required'
+      });
+    }
+
+    const organization = await Organization.findById(req.adminScope.organization);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    if (organization.departments.some(department => department.code === code.trim().toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department code is already in use'
+      });
+    }
+
+    organization.departments.push({ name, code });
+    await organization.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Department created successfully',
+      department: organization.departments[organization.departments.length - 1]
+    });
+
+  } catch (error) {
+    console.error('Create department error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create department',
+      error: error.message
+    });
+  }
+});
+
+// Rename or deactivate a department
+router.put('/organization/departments/:departmentId', ...adminOnly, requireInstitutionAdmin, async (req, res) => {
+  try {
+    const { departmentId } = req.params;
+    const { name, code, isActive } = req.body;
+
+    const organization = await Organization.findById(req.adminScope.organization);
+    const department = organization && mongoose.isValidObjectId(departmentId)
+      ? organization.departments.id(departmentId)
+      : null;
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    if (code && organization.departments.some(other =>
+      other.code === code.trim().toUpperCase() && !other._id.equals(department._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department code is already in use'
+      });
+    }
+
+    if (name) department.name = name;
+    if (code) department.code = code;
+    if (isActive !== undefined) department.isActive = !!isActive;
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: 'Department updated successfully',
+      department
+    });
+
+  } catch (error) {
+    console.error('Update department error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update department',
+      error: error.message
+    });
+  }
+});
+
+// List users in the admin's institution or department (?role=&department=&search=)
+router.get('/users', ...adminOnly, async (req, res) => {
+  try {
+    const { role, department, search, limit = 100 } = req.query;
+    const filter = { ...req.adminScope };
+
+    if (role) filter.role = role === 'none' ? null : role;
+    if (department && !req.adminScope.department) {
+      filter.department = mongoose.isValidObjectId(department) ? department : null;
+    }
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const users = await User.find(filter)
+      .select('name email profilePicture role department isActive lastLoginAt createdAt')
+      .sort({ name: 1 })
+      .limit(Math.min(parseInt(limit) || 100, 500));
+
+    res.json({
+      success: true,
+      users,
+      count: users.length
+    });
+
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: error.message
+    });
+  }
+});
+
+// Change a user's role, department or active flag. Department admins can
+// only manage teachers and students within their department.
+router.put('/users/:userId', ...adminOnly, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, department, isActive } = req.body;
+    const isDepartmentAdmin = !!req.adminScope.department;
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own account'
+      });
+    }
+
+    const user = mongoose.isValidObjectId(userId)
+      ? await User.findOne({ _id: userId, ...req.adminScope })
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found in your institution'
+      });
+    }
+
+    if (role !== undefined && role !== null && !USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${USER_ROLES.join(', ')}`
+      });
+    }
+
+    if (isDepartmentAdmin && (user.role === 'admin' || role === 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only institution admins can manage admin accounts'
+      });
+    }
+
+    if (department !== undefined) {
+      if (isDepartmentAdmin) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only institution admins can move users between departments'
+        });
+      }
+
+      const organization = await Organization.findById(req.adminScope.organization);
+      if (department !== null && !organization.getDepartment(department)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Department not found in your institution'
+        });
+      }
+      user.department = department;
+    }
+
+    if (role !== undefined && role !== user.role) {
+      user.role = role;
+      user.roleAssignedBy = req.user._id; // Role rules no longer apply
+      if (role === 'teacher') user.approveTeacher(req.user._id);
+    }
+    if (isActive !== undefined) user.isActive = !!isActive;
+    await user.save();
+
+    if (!user.isActive) {
+      await AuthSession.revokeAll(user._id, 'deactivated');
+    }
+
+    console.log(`User ${user.email} updated by admin ${req.user.email}: role=${user.role} department=${user.department}`);
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        department: user.department,
+        isActive: user.isActive
+      }
+    });
+
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user',
+      error: error.message
+    });
+  }
+});
+
+// List classes in the admin's institution or department. Attendance for
+// these classes is available through the class and lecture routes.
+router.get('/classes', ...adminOnly, async (req, res) => {
+  try {
+    const { department, teacher, includeInactive } = req.query;
+    const filter = { ...req.adminScope };
+
+    if (includeInactive !== 'true') filter.isActive = true;
+    if (department && !req.adminScope.department) {
+      filter.department = mongoose.isValidObjectId(department) ? department : null;
+    }
+    if (teacher && mongoose.isValidObjectId(teacher)) {
+      filter.$or = [{ teacher }, { 'staff.user': teacher }];
+    }
+
+    const classes = await Class.find(filter)
+      .populate('teacher', 'name email')
+      .select('name section classCode teacher department subjects students isActive createdAt')
+      .sort({ name: 1, section: 1 });
+
+    res.json({
+      success: true,
+      classes: classes.map(classDoc => ({
+        id: classDoc._id,
+        name: classDoc.name,
+        section: classDoc.section,
+        classCode: classDoc.classCode,
+        teacher: classDoc.teacher,
+        department: classDoc.department,
+        subjects: classDoc.subjects,
+        studentCount: classDoc.students.length,
+        isActive: classDoc.isActive,
+        createdAt: classDoc.createdAt
+      })),
+      count: classes.length
+    });
+
+  } catch (error) {
+    console.error('Admin list classes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch classes',
+      error: error.message
+    });
+  }
+});
+
+// Move a class to another department of the institution
+router.put('/classes/:classId/department', ...adminOnly, requireInstitutionAdmin, async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { department } = req.body;
+
+    const organization = await Organization.findById(req.adminScope.organization);
+    if (department !== null && !organization?.getDepartment(department)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department not found in your institution'
+      });
+    }
+
+    const classDoc = mongoose.isValidObjectId(classId)
+      ? await Class.findOneAndUpdate(
+          { _id: classId, ...req.adminScope },
+          { department },
+          { new: true }
+        )
+      : null;
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found in your institution'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Class department updated',
+      class: {
+        id: classDoc._id,
+        name: classDoc.name,
+        department: classDoc.department
+      }
+    });
+
+  } catch (error) {
+    console.error('Update class department error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update class department',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
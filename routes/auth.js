@@ -1,15 +1,21 @@
 // routes/auth.js
 const express = require('express');
 const { OAuth2Client } = require('google-auth-library');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const Invitation = require('../models/Invitation');
+const Organization = require('../models/Organization');
 const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const signupPolicy = require('../utils/signupPolicy');
+const { issueTokens, signAccessToken, tokenResponse } = require('../utils/authTokens');
 
 const router = express.Router();
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
 // Google Login Route
-router.post('/google-login', async (req, res) => {
+router.post('/google-login', rateLimit('login'), async (req, res) => {
   try {
     const { credential } = req.body;
 
@@ -29,6 +35,16 @@ router.post('/google-login', async (req, res) => {
     const payload = ticket.getPayload();
     const { sub: googleId, name, email, picture } = payload;
 
+    // Only allowed domains may sign in
+    const access = await signupPolicy.checkSignIn(payload);
+    if (!access.allowed) {
+      console.log(`Sign-in rejected for ${email}: ${access.reason}`);
+      return res.status(403).json({
+        success: false,
+        message: access.reason
+      });
+    }
+
     // Check if user exists or create new user
     let user = await User.findOne({ googleId });
 
@@ -42,6 +58,11 @@ router.post('/google-login', async (req, res) => {
       });
       await user.save();
       console.log('New user created:', email);
+    } else if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account has been deactivated'
+      });
     } else {
       // Update existing user's last login
       user.lastLoginAt = new Date();
@@ -50,29 +71,61 @@ router.post('/google-login', async (req, res) => {
       console.log('User logged in:', email);
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user._id,
-        email: user.email,
-        role: user.role
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Place users in the institution that owns their email domain
+    if (!user.organization && access.organization) {
+      user.organization = access.organization._id;
+      await user.save();
+      console.log(`User ${email} assigned to organization ${access.organization.code}`);
+    }
+
+    // Apply the role rules unless an admin has set the role by hand
+    const organization = user.organization
+      ? await Organization.findById(user.organization)
+      : null;
+    const mappedRole = signupPolicy.mapRole(email, organization);
+    if (mappedRole && user.role !== 'admin' && !user.roleAssignedBy &&
+        (user.role !== mappedRole || (mappedRole === 'teacher' && !user.isVerifiedTeacher()))) {
+      console.log(`User ${email} role set to ${mappedRole} by role rules (was ${user.role})`);
+      if (mappedRole === 'teacher') {
+        user.approveTeacher(null, 'Matched institution role rule'); // Rules vouch for the account
+      } else {
+        user.role = mappedRole;
+      }
+      await user.save();
+    }
+
+    // Enroll in classes the user was invited to before signing in
+    let joinedClasses = [];
+    if (!user.role || user.role === 'student') {
+      joinedClasses = await Invitation.acceptPending(user);
+      if (joinedClasses.length > 0) {
+        if (!user.role) {
+          user.role = 'student';
+          await user.save();
+        }
+        console.log(`Accepted ${joinedClasses.length} class invitation(s) for ${email}`);
+      }
+    }
+
+    // Short-lived access token plus a refresh token for this device
+    const tokens = await issueTokens(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         profilePicture: user.profilePicture,
         role: user.role,
+        teacherStatus: user.getTeacherStatus(),
+        organization: user.organization,
+        department: user.department,
         isNewUser: !user.role // If role is null, user needs to select role
-      }
+      },
+      joinedClasses
     });
 
   } catch (error) {
@@ -98,6 +151,9 @@ router.get('/me', authenticateToken, async (req, res) => {
         email: user.email,
         profilePicture: user.profilePicture,
         role: user.role,
+        teacherStatus: user.getTeacherStatus(),
+        organization: user.organization,
+        department: user.department,
         lastLoginAt: user.lastLoginAt,
         createdAt: user.createdAt
       }
@@ -112,7 +168,9 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-// Update user role
+// Pick a role once after first sign-in. Students are enrolled straight away;
+// teacher requests stay pending until an admin or a verified teacher of the
+// same institution approves them.
 router.put('/set-role', authenticateToken, async (req, res) => {
   try {
     const { role } = req.body;
@@ -125,24 +183,59 @@ router.put('/set-role', authenticateToken, async (req, res) => {
       });
     }
 
-    // Update user role
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { role },
-      { new: true }
-    );
+    // Admin accounts, roles set by an admin and roles that follow from the
+    // institution's email rules can't be changed here
+    if (req.user.role === 'admin' || req.user.roleAssignedBy) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your role is managed by your institution'
+      });
+    }
+
+    const organization = req.user.organization
+      ? await Organization.findById(req.user.organization)
+      : null;
+    const mappedRole = signupPolicy.mapRole(req.user.email, organization);
+    if (mappedRole && mappedRole !== role) {
+      return res.status(403).json({
+        success: false,
+        message: `Accounts with this email address are ${mappedRole}s`
+      });
+    }
+
+    // The choice is one-time; a rejected teacher request frees it again
+    if (req.user.role) {
+      return res.status(400).json({
+        success: false,
+        message: req.user.role === 'teacher' && !req.user.isVerifiedTeacher()
+          ? 'Your teacher request is already waiting for approval'
+          : 'Your role has already been set'
+      });
+    }
+
+    // Update user role; this invalidates tokens issued with the old role
+    const user = await User.findById(userId);
+    user.role = role;
+    if (role === 'teacher') {
+      user.teacherApproval = { status: 'pending', requestedAt: new Date() };
+    }
+    await user.save();
 
-    console.log(`User ${user.email} role set to: ${role}`);
+    console.log(`User ${user.email} role set to: ${role}${role === 'teacher' ? ' (pending approval)' : ''}`);
 
     res.json({
       success: true,
-      message: 'Role updated successfully',
+      message: role === 'teacher'
+        ? 'Teacher request sent. You will get teacher access once it is approved'
+        : 'Role updated successfully',
+      token: signAccessToken(user, req.auth.sessionId),
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         profilePicture: user.profilePicture,
-        role: user.role
+        role: user.role,
+        teacherStatus: user.getTeacherStatus()
       }
     });
 
@@ -156,12 +249,167 @@ router.put('/set-role', authenticateToken, async (req, res) => {
   }
 });
 
-// Logout route (mainly for token cleanup on client side)
+// List pending teacher requests the user may review (admins and verified teachers)
+router.get('/teacher-requests', authenticateToken, async (req, res) => {
+  try {
+    const filter = User.teacherReviewFilter(req.user);
+    if (!filter) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    const requests = await User.find({ ...filter, _id: { $ne: req.user._id } })
+      .select('name email profilePicture department teacherApproval.requestedAt createdAt')
+      .sort({ 'teacherApproval.requestedAt': 1 });
+
+    res.json({
+      success: true,
+      requests,
+      count: requests.length
+    });
+
+  } catch (error) {
+    console.error('Get teacher requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch teacher requests',
+      error: error.message
+    });
+  }
+});
+
+// Approve or reject a pending teacher request
+router.post('/teacher-requests/:userId/:decision', authenticateToken, async (req, res) => {
+  try {
+    const { userId, decision } = req.params;
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : undefined;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be approve or reject'
+      });
+    }
+
+    const filter = User.teacherReviewFilter(req.user);
+    if (!filter) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    const user = mongoose.isValidObjectId(userId) && userId !== req.user._id.toString()
+      ? await User.findOne({ ...filter, _id: userId })
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending teacher request not found'
+      });
+    }
+
+    if (decision === 'approve') {
+      user.approveTeacher(req.user._id, note);
+      // Department admins take new teachers into their department
+      if (req.user.role === 'admin' && req.user.department && !user.department) {
+        user.department = req.user.department;
+      }
+    } else {
+      user.role = null; // Free to choose a role again
+      user.teacherApproval.status = 'rejected';
+      user.teacherApproval.reviewedBy = req.user._id;
+      user.teacherApproval.reviewedAt = new Date();
+      user.teacherApproval.note = note;
+    }
+    await user.save();
+
+    console.log(`Teacher request ${decision === 'approve' ? 'approved' : 'rejected'}: ${user.email} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Teacher approved' : 'Teacher request rejected',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        teacherStatus: user.getTeacherStatus()
+      }
+    });
+
+  } catch (error) {
+    console.error('Review teacher request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review teacher request',
+      error: error.message
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', rateLimit('refresh'), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await AuthSession.rotate(refreshToken);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user || !user.isActive) {
+      await result.session.revoke('user_inactive');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...tokenResponse(user, result.session, result.refreshToken),
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        profilePicture: user.profilePicture,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+});
+
+// Logout: revoke this device's session and its tokens
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a real app, you might want to blacklist the token
-    // For now, we'll just return success and let client handle token removal
-    
+    const session = await AuthSession.findById(req.auth.sessionId);
+    if (session) {
+      await session.revoke('logout');
+    }
+
     res.json({
       success: true,
       message: 'Logout successful'
@@ -176,4 +424,89 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// Log out of all devices
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await AuthSession.revokeAll(req.user._id, 'logout_all');
+    await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+
+    console.log(`User ${req.user.email} logged out of ${revoked} session(s)`);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      revoked
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: error.message
+    });
+  }
+});
+
+// List the devices the user is signed in on
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await AuthSession.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.equals(req.auth.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: error.message
+    });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = mongoose.isValidObjectId(sessionId)
+      ? await AuthSession.findOne({ _id: sessionId, user: req.user._id, revokedAt: null })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked_by_user');
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
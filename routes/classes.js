@@ -1,17 +1,44 @@
 // routes/classes.js
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const Class = require('../models/Class');
 const User = require('../models/User');
 const Attendance = require('../models/Attendance');
+const Lecture = require('../models/Lecture');
+const Invitation = require('../models/Invitation');
+const Organization = require('../models/Organization');
+const timetable = require('../utils/timetable');
+const attendancePolicy = require('../utils/attendancePolicy');
+const deviceCheck = require('../utils/deviceCheck');
+const attendanceAlerts = require('../utils/attendanceAlerts');
+const { buildRegister, monthRange } = require('../utils/register');
+const { streamRegister } = require('../utils/pdfReports');
+const { registerToCsv, streamRegisterXlsx } = require('../utils/registerExport');
+const { parseCsv } = require('../utils/csv');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Roster imports are read in memory; they are small CSV files
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }
+});
+
+const MAX_ROSTER_ROWS = 2000;
+
+const EMAIL_PATTERN = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+// Settings that class create/update may change. The late/close policy is set
+// through PUT /:classId/attendance-policy, which validates it.
+const SETTINGS_FIELDS = ['requireApproval', 'autoStartLectures', 'devicePolicy'];
+
 // Get all classes for teacher
 router.get('/my-classes', authenticateToken, requireRole(['teacher']), async (req, res) => {
   try {
     const classes = await Class.find({ 
-      teacher: req.user._id,
+      ...Class.staffFilter(req.user._id),
       isActive: true 
     })
     .populate('students', 'name email profilePicture')
@@ -19,7 +46,11 @@ router.get('/my-classes', authenticateToken, requireRole(['teacher']), async (re
 
     res.json({
       success: true,
-      classes,
+      classes: classes.map(classDoc => ({
+        ...classDoc.toJSON(),
+        staffRole: classDoc.getStaffRole(req.user._id),
+        permissions: classDoc.getPermissions(req.user._id)
+      })),
       count: classes.length
     });
   } catch (error) {
@@ -35,7 +66,7 @@ router.get('/my-classes', authenticateToken, requireRole(['teacher']), async (re
 // Create new class
 router.post('/create', authenticateToken, requireRole(['teacher']), async (req, res) => {
   try {
-    const { name, section, subjects, description, schedule } = req.body;
+    const { name, section, subjects, description, schedule, settings, department } = req.body;
 
     // Validation
     if (!name || !section) {
@@ -45,6 +76,20 @@ router.post('/create', authenticateToken, requireRole(['teacher']), async (req,
       });
     }
 
+    // Classes belong to the teacher's institution, in their department
+    // unless another one of its departments is given
+    let departmentId = req.user.department;
+    if (department) {
+      const organization = req.user.organization && await Organization.findById(req.user.organization);
+      if (!organization || !organization.getDepartment(department)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Department not found in your institution'
+        });
+      }
+      departmentId = organization.getDepartment(department)._id;
+    }
+
     // Generate unique class code
     const classCode = await Class.generateClassCode();
 
@@ -54,7 +99,10 @@ router.post('/create', authenticateToken, requireRole(['teacher']), async (req,
       subjects: subjects || [],
       classCode,
       teacher: req.user._id,
-      schedule: schedule || {}
+      organization: req.user.organization,
+      department: departmentId,
+      schedule: schedule || {},
+      settings: pickSettings(settings)
     });
 
     await newClass.save();
@@ -80,6 +128,119 @@ router.post('/create', authenticateToken, requireRole(['teacher']), async (req,
   }
 });
 
+// Get all classes a student is enrolled in
+router.get('/enrolled', authenticateToken, requireRole(['student']), async (req, res) => {
+  try {
+    const classes = await Class.find({
+      students: req.user._id,
+      isActive: true
+    })
+    .populate('teacher', 'name email profilePicture')
+    .select('-joinRequests')
+    .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      classes,
+      count: classes.length
+    });
+  } catch (error) {
+    console.error('Get enrolled classes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch enrolled classes',
+      error: error.message
+    });
+  }
+});
+
+// Join class by class code (students)
+router.post('/join', authenticateToken, requireRole(['student']), async (req, res) => {
+  try {
+    const { classCode } = req.body;
+
+    if (!classCode || typeof classCode !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Class code is required'
+      });
+    }
+
+    const classDoc = await Class.findOne({
+      classCode: classCode.trim().toUpperCase(),
+      isActive: true
+    });
+
+    // Classes of other institutions are invisible
+    if (!classDoc || !req.user.sameOrganization(classDoc)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid class code'
+      });
+    }
+
+    if (classDoc.hasStudent(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already enrolled in this class'
+      });
+    }
+
+    if (classDoc.hasPendingRequest(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your request to join this class is already pending'
+      });
+    }
+
+    if (classDoc.settings?.requireApproval) {
+      await Class.updateOne(
+        { _id: classDoc._id, 'joinRequests.student': { $ne: req.user._id } },
+        { $push: { joinRequests: { student: req.user._id, requestedAt: new Date() } } }
+      );
+
+      console.log(`Join request: ${req.user.email} requested to join ${classDoc.name} (${classDoc.classCode})`);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Join request sent. Waiting for teacher approval',
+        status: 'pending',
+        class: {
+          id: classDoc._id,
+          name: classDoc.name,
+          section: classDoc.section
+        }
+      });
+    }
+
+    await Class.updateOne(
+      { _id: classDoc._id },
+      { $addToSet: { students: req.user._id } }
+    );
+
+    console.log(`Student joined class: ${req.user.email} joined ${classDoc.name} (${classDoc.classCode})`);
+
+    res.json({
+      success: true,
+      message: 'Joined class successfully',
+      status: 'enrolled',
+      class: {
+        id: classDoc._id,
+        name: classDoc.name,
+        section: classDoc.section
+      }
+    });
+
+  } catch (error) {
+    console.error('Join class error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join class',
+      error: error.message
+    });
+  }
+});
+
 // Get class details
 router.get('/:classId', authenticateToken, async (req, res) => {
   try {
@@ -87,6 +248,7 @@ router.get('/:classId', authenticateToken, async (req, res) => {
 
     const classDoc = await Class.findById(classId)
       .populate('teacher', 'name email profilePicture')
+      .populate('staff.user', 'name email profilePicture')
       .populate('students', 'name email profilePicture');
 
     if (!classDoc) {
@@ -97,12 +259,13 @@ router.get('/:classId', authenticateToken, async (req, res) => {
     }
 
     // Check if user has access to this class
-    const isTeacher = classDoc.teacher._id.toString() === req.user._id.toString();
+    const staffRole = classDoc.getStaffRole(req.user._id);
     const isStudent = classDoc.students.some(student => 
       student._id.toString() === req.user._id.toString()
     );
+    const isAdmin = !staffRole && !isStudent && classDoc.canView(req.user);
 
-    if (!isTeacher && !isStudent) {
+    if (!staffRole && !isStudent && !isAdmin) {
       return res.status(403).json({
         success: false,
         message: 'Access denied to this class'
@@ -112,7 +275,9 @@ router.get('/:classId', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       class: classDoc,
-      userRole: isTeacher ? 'teacher' : 'student'
+      userRole: staffRole ? 'teacher' : isAdmin ? 'admin' : 'student',
+      staffRole,
+      permissions: classDoc.getPermissions(req.user._id)
     });
 
   } catch (error) {
@@ -148,7 +313,15 @@ router.put('/:classId', authenticateToken, requireRole(['teacher']), async (req,
     if (subject) classDoc.subject = subject.trim();
     if (description !== undefined) classDoc.description = description?.trim();
     if (schedule) classDoc.schedule = { ...classDoc.schedule, ...schedule };
-    if (settings) classDoc.settings = { ...classDoc.settings, ...settings };
+    if (settings) {
+      const current = classDoc.toObject().settings;
+      const changes = pickSettings(settings);
+      classDoc.set('settings', {
+        ...current,
+        ...changes,
+        devicePolicy: { ...current.devicePolicy, ...changes.devicePolicy }
+      });
+    }
 
     await classDoc.save();
 
@@ -210,7 +383,7 @@ router.delete('/:classId', authenticateToken, requireRole(['teacher']), async (r
 router.get('/:classId/stats', authenticateToken, async (req, res) => {
   try {
     const { classId } = req.params;
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, subjectId } = req.query;
 
     const classDoc = await Class.findById(classId);
     if (!classDoc) {
@@ -221,8 +394,8 @@ router.get('/:classId/stats', authenticateToken, async (req, res) => {
     }
 
     // Check access
-    const isTeacher = classDoc.teacher.toString() === req.user._id.toString();
-    const isStudent = classDoc.students.includes(req.user._id);
+    const isTeacher = classDoc.canView(req.user);
+    const isStudent = classDoc.hasStudent(req.user._id);
 
     if (!isTeacher && !isStudent) {
       return res.status(403).json({
@@ -231,30 +404,21 @@ router.get('/:classId/stats', authenticateToken, async (req, res) => {
       });
     }
 
-    // Get attendance statistics
-    const attendanceStats = await Attendance.getStats(classId, {
+    if ((startDate && isNaN(new Date(startDate))) || (endDate && isNaN(new Date(endDate)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    // Students only get their own row
+    const stats = await Attendance.getStats(classId, {
       startDate,
       endDate,
-      studentId: req.user.role === 'student' ? req.user._id : undefined
-    });
-
-    // Get total sessions (days with attendance records)
-    const totalSessions = await Attendance.distinct('date', {
-      class: classId,
-      ...(startDate && { date: { $gte: new Date(startDate) } }),
-      ...(endDate && { date: { $lte: new Date(endDate) } })
+      subjectId,
+      studentId: isTeacher ? undefined : req.user._id
     });
 
-    const stats = {
-      totalStudents: classDoc.students.length,
-      totalSessions: totalSessions.length,
-      attendanceStats,
-      attendanceRate: totalSessions.length > 0 
-        ? ((attendanceStats.present + attendanceStats.late) / 
-           (attendanceStats.present + attendanceStats.absent + attendanceStats.late) * 100).toFixed(1)
-        : 0
-    };
-
     res.json({
       success: true,
       stats
@@ -270,4 +434,1301 @@ router.get('/:classId/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// Set the per-subject timetable and term dates
+router.put('/:classId/timetable', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { slots, term, autoStartLectures } = req.body;
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      teacher: req.user._id
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    if (slots !== undefined) {
+      const validationError = timetable.validateSlots(slots, classDoc.subjects);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+      classDoc.timetable = slots;
+    }
+
+    if (term !== undefined) {
+      const startDate = term.startDate ? new Date(term.startDate) : undefined;
+      const endDate = term.endDate ? new Date(term.endDate) : undefined;
+
+      if ((startDate && isNaN(startDate)) || (endDate && isNaN(endDate)) ||
+          (startDate && endDate && endDate <= startDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Term dates are invalid'
+        });
+      }
+      classDoc.term = { startDate, endDate };
+    }
+
+    if (autoStartLectures !== undefined) {
+      classDoc.settings.autoStartLectures = !!autoStartLectures;
+    }
+
+    await classDoc.save();
+
+    res.json({
+      success: true,
+      message: 'Timetable updated successfully',
+      timetable: classDoc.timetable,
+      term: classDoc.term,
+      autoStartLectures: classDoc.settings.autoStartLectures
+    });
+
+  } catch (error) {
+    console.error('Update timetable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update timetable',
+      error: error.message
+    });
+  }
+});
+
+// Set the class late/close attendance policy
+router.put('/:classId/attendance-policy', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { classId } = req.params;
+
+    const policyError = attendancePolicy.validatePolicy({
+      ...attendancePolicy.DEFAULT_POLICY,
+      ...req.body
+    });
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        message: policyError
+      });
+    }
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      teacher: req.user._id
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    classDoc.set('attendancePolicy', {
+      ...classDoc.toObject().attendancePolicy,
+      ...attendancePolicy.pickPolicy(req.body)
+    });
+
+    const mergedError = attendancePolicy.validatePolicy(classDoc.toObject().attendancePolicy);
+    if (mergedError) {
+      return res.status(400).json({
+        success: false,
+        message: mergedError
+      });
+    }
+
+    await classDoc.save();
+
+    res.json({
+      success: true,
+      message: 'Attendance policy updated successfully',
+      attendancePolicy: classDoc.attendancePolicy
+    });
+
+  } catch (error) {
+    console.error('Update attendance policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update attendance policy',
+      error: error.message
+    });
+  }
+});
+
+// Set the class low-attendance alert rules
+router.put('/:classId/attendance-alerts', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { classId } = req.params;
+
+    const alertError = attendanceAlerts.validateAlertSettings(req.body);
+    if (alertError) {
+      return res.status(400).json({
+        success: false,
+        message: alertError
+      });
+    }
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      teacher: req.user._id
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    classDoc.set('attendanceAlerts', {
+      ...classDoc.toObject().attendanceAlerts,
+      ...attendanceAlerts.pickAlertSettings(req.body)
+    });
+
+    await classDoc.save();
+
+    // Apply the new rules to the current figures
+    attendanceAlerts.scheduleCheck(classDoc._id);
+
+    res.json({
+      success: true,
+      message: 'Attendance alerts updated successfully',
+      attendanceAlerts: attendanceAlerts.resolveAlertSettings(classDoc)
+    });
+
+  } catch (error) {
+    console.error('Update attendance alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update attendance alerts',
+      error: error.message
+    });
+  }
+});
+
+// Create scheduled lectures from the timetable over a date range (defaults to the term)
+router.post('/:classId/timetable/generate', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { classId } = req.params;
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      ...Class.staffFilter(req.user._id, 'start_lectures'),
+      isActive: true
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    if (timetable.getSlots(classDoc).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Class has no timetable to generate lectures from'
+      });
+    }
+
+    const range = timetable.resolveRange(classDoc, req.body);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const result = await timetable.generateLectures(classDoc, range.from, range.to);
+
+    console.log(`Timetable generated: ${result.created} lectures for ${classDoc.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${result.created} lectures scheduled`,
+      from: range.from,
+      to: range.to,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Generate timetable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate lectures',
+      error: error.message
+    });
+  }
+});
+
+// List lectures for a class (e.g. ?status=scheduled&from=... for the upcoming timetable)
+router.get('/:classId/lectures', authenticateToken, async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { status, subjectId, from, to, limit = 100 } = req.query;
+
+    const classDoc = await Class.findById(classId);
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    const isTeacher = classDoc.canView(req.user);
+    if (!isTeacher && !classDoc.hasStudent(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this class'
+      });
+    }
+
+    const filter = { classId: classDoc._id };
+    if (status) filter.status = status;
+    if (subjectId) filter.subjectId = subjectId;
+    if (from || to) {
+      filter.startTime = {};
+      if (from) filter.startTime.$gte = new Date(from);
+      if (to) filter.startTime.$lte = new Date(to);
+    }
+
+    const lectures = await Lecture.find(filter)
+      .select('-qrSecret')
+      .sort({ startTime: status === 'scheduled' ? 1 : -1 })
+      .limit(Math.min(parseInt(limit) || 100, 500));
+
+    res.json({
+      success: true,
+      lectures,
+      count: lectures.length
+    });
+
+  } catch (error) {
+    console.error('Get class lectures error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lectures',
+      error: error.message
+    });
+  }
+});
+
+// Export the attendance register: students x lectures over a date range
+// (?from=&to=&subjectId=&format=csv|xlsx|json). Defaults to the class term,
+// or the last 30 days when the class has no term.
+router.get('/:classId/register', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { subjectId, format = 'csv' } = req.query;
+
+    if (!['csv', 'xlsx', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid format. Use csv, xlsx or json'
+      });
+    }
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      ...Class.accessFilter(req.user)
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    if (subjectId && !classDoc.subjects.some(s => s.code === subjectId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subject not found in this class'
+      });
+    }
+
+    const to = new Date(req.query.to || Math.min(Date.now(), classDoc.term?.endDate || Date.now()));
+    const from = new Date(req.query.from || classDoc.term?.startDate || to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    const register = await buildRegister(classDoc, { from, to, subjectId });
+    const filename = `register-${classDoc.classCode}-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}`;
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        register
+      });
+    }
+
+    if (format === 'xlsx') {
+      return await streamRegisterXlsx(register, res, `${filename}.xlsx`);
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.send('\uFEFF' + registerToCsv(register)); // BOM so Excel reads UTF-8 names
+
+  } catch (error) {
+    console.error('Register export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export register',
+        error: error.message
+      });
+    }
+  }
+});
+
+// Download the monthly attendance register as PDF (?month=YYYY-MM&subjectId=)
+router.get('/:classId/reports/monthly', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { subjectId } = req.query;
+    const month = req.query.month || new Date().toISOString().slice(0, 7);
+
+    const range = monthRange(month);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      ...Class.accessFilter(req.user)
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    if (subjectId && !classDoc.subjects.some(s => s.code === subjectId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subject not found in this class'
+      });
+    }
+
+    const register = await buildRegister(classDoc, { ...range, subjectId });
+    streamRegister(
+      register,
+      res,
+      `register-${classDoc.classCode}-${month}${subjectId ? `-${subjectId.replace(/[^\w-]/g, '_')}` : ''}.pdf`,
+      'Monthly Attendance Register'
+    );
+
+  } catch (error) {
+    console.error('Monthly report error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate monthly report',
+        error: error.message
+      });
+    }
+  }
+});
+
+// List class staff (owner, co-teachers and TAs)
+router.get('/:classId/staff', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const { classId } = req.params;
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      ...Class.accessFilter(req.user)
+    })
+    .populate('teacher', 'name email profilePicture')
+    .populate('staff.user', 'name email profilePicture');
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      owner: classDoc.teacher,
+      staff: classDoc.staff
+        .filter(member => member.user)
+        .map(member => ({
+          user: member.user,
+          role: member.role,
+          permissions: member.permissions,
+          addedAt: member.addedAt
+        }))
+    });
+
+  } catch (error) {
+    console.error('Get staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch class staff',
+      error: error.message
+    });
+  }
+});
+
+// Add a co-teacher or TA by email or user id (owner only)
+router.post('/:classId/staff', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { email, userId, role, permissions } = req.body;
+
+    const resolved = resolveStaffPermissions(role, permissions);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+
+    if (!email && !userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email or user ID is required'
+      });
+    }
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      teacher: req.user._id,
+      isActive: true
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    const user = userId
+      ? (mongoose.isValidObjectId(userId) ? await User.findById(userId) : null)
+      : await User.findOne({ email: String(email).trim().toLowerCase() });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found. They need to sign in once before being added'
+      });
+    }
+
+    if (!user.isVerifiedTeacher() || !user.sameOrganization(classDoc)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only teacher accounts from this institution can be added to class staff'
+      });
+    }
+
+    if (classDoc.getStaffRole(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already on the class staff'
+      });
+    }
+
+    classDoc.staff.push({
+      user: user._id,
+      role,
+      permissions: resolved.permissions,
+      addedBy: req.user._id
+    });
+    await classDoc.save();
+
+    console.log(`Staff added: ${user.email} as ${role} to ${classDoc.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff member added',
+      member: {
+        user: { id: user._id, name: user.name, email: user.email },
+        role,
+        permissions: resolved.permissions
+      }
+    });
+
+  } catch (error) {
+    console.error('Add staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add staff member',
+      error: error.message
+    });
+  }
+});
+
+// Change a staff member's role or permissions (owner only)
+router.put('/:classId/staff/:userId', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { classId, userId } = req.params;
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      teacher: req.user._id
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    const member = classDoc.getStaffMember(userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const role = req.body.role || member.role;
+    // Keep custom permissions unless the role changes
+    const permissions = req.body.permissions !== undefined || role !== member.role
+      ? req.body.permissions
+      : member.permissions;
+
+    const resolved = resolveStaffPermissions(role, permissions);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+
+    member.role = role;
+    member.permissions = resolved.permissions;
+    await classDoc.save();
+
+    res.json({
+      success: true,
+      message: 'Staff member updated',
+      member: {
+        user: member.user,
+        role: member.role,
+        permissions: member.permissions
+      }
+    });
+
+  } catch (error) {
+    console.error('Update staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update staff member',
+      error: error.message
+    });
+  }
+});
+
+// Remove a staff member (owner), or step down from a class's staff (self)
+router.delete('/:classId/staff/:userId', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { classId, userId } = req.params;
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      ...Class.staffFilter(req.user._id)
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    const isSelf = userId === req.user._id.toString();
+    if (!isSelf && !classDoc.isOwner(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the class owner can remove staff'
+      });
+    }
+
+    if (classDoc.isOwner(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner cannot be removed. Transfer ownership first'
+      });
+    }
+
+    const member = classDoc.getStaffMember(userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    classDoc.staff.pull(member._id);
+    await classDoc.save();
+
+    console.log(`Staff removed: ${userId} from ${classDoc.name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You have left the class staff' : 'Staff member removed'
+    });
+
+  } catch (error) {
+    console.error('Remove staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove staff member',
+      error: error.message
+    });
+  }
+});
+
+// Hand the class over to another staff member. The previous owner stays on
+// as a co-teacher with full permissions.
+router.post('/:classId/transfer-ownership', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { userId } = req.body;
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      teacher: req.user._id
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    const member = userId && classDoc.getStaffMember(userId);
+    if (!member) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new owner must already be on the class staff'
+      });
+    }
+
+    const newOwner = await User.findById(member.user).select('role teacherApproval email');
+    if (!newOwner || !newOwner.isVerifiedTeacher()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new owner must have a teacher account'
+      });
+    }
+
+    classDoc.staff.pull(member._id);
+    classDoc.staff.push({
+      user: req.user._id,
+      role: 'co-teacher',
+      permissions: Class.STAFF_ROLE_DEFAULTS['co-teacher'],
+      addedBy: newOwner._id
+    });
+    classDoc.teacher = newOwner._id;
+    await classDoc.save();
+
+    console.log(`Class ownership transferred: ${classDoc.name} from ${req.user.email} to ${newOwner.email}`);
+
+    res.json({
+      success: true,
+      message: 'Ownership transferred',
+      owner: newOwner._id
+    });
+
+  } catch (error) {
+    console.error('Transfer ownership error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to transfer ownership',
+      error: error.message
+    });
+  }
+});
+
+// Bulk import students by email: a CSV upload (field "file"), CSV text
+// ({ csv }) or a list ({ emails }). Existing users are enrolled; emails that
+// haven't signed in yet get a pending invitation that is accepted on their
+// first Google login.
+router.post('/:classId/roster/import', authenticateToken, requireRole(['teacher']), (req, res, next) => {
+  rosterUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'Roster file must be under 1MB' : 'Invalid roster upload',
+        error: error.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const { classId } = req.params;
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      ...Class.staffFilter(req.user._id, 'manage_roster'),
+      isActive: true
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    const entries = extractRosterEntries(req);
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a CSV file, csv text or an emails list'
+      });
+    }
+    if (entries.length > MAX_ROSTER_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `A roster import is limited to ${MAX_ROSTER_ROWS} rows`
+      });
+    }
+
+    const validEmails = [...new Set(entries
+      .map(entry => entry.email)
+      .filter(email => EMAIL_PATTERN.test(email)))];
+
+    const [users, invitations] = await Promise.all([
+      User.find({ email: { $in: validEmails } }).select('email role organization'),
+      Invitation.find({ classId: classDoc._id, email: { $in: validEmails } })
+    ]);
+
+    const usersByEmail = new Map(users.map(user => [user.email.toLowerCase(), user]));
+    const invitationsByEmail = new Map(invitations.map(invitation => [invitation.email, invitation]));
+    const enrolled = new Set(classDoc.students.map(id => id.toString()));
+    const seen = new Set();
+    const toEnroll = [];
+    const toInvite = [];
+
+    const results = entries.map(({ row, email }) => {
+      if (!EMAIL_PATTERN.test(email)) {
+        return { row, email, status: 'invalid', message: 'Not a valid email address' };
+      }
+      if (seen.has(email)) {
+        return { row, email, status: 'duplicate', message: 'Email appears earlier in this import' };
+      }
+      seen.add(email);
+
+      const user = usersByEmail.get(email);
+      if (user) {
+        if (!user.sameOrganization(classDoc)) {
+          return { row, email, status: 'skipped', message: 'Account belongs to another institution' };
+        }
+        if (user.role && user.role !== 'student') {
+          return { row, email, status: 'skipped', message: `Account is registered as ${user.role}` };
+        }
+        if (enrolled.has(user._id.toString())) {
+          return { row, email, status: 'already_enrolled' };
+        }
+        toEnroll.push(user._id);
+        return { row, email, status: 'enrolled', userId: user._id };
+      }
+
+      const invitation = invitationsByEmail.get(email);
+      if (invitation && invitation.status === 'pending') {
+        return { row, email, status: 'already_invited' };
+      }
+      toInvite.push(email);
+      return { row, email, status: 'invited' };
+    });
+
+    if (toEnroll.length > 0) {
+      await Class.updateOne(
+        { _id: classDoc._id },
+        {
+          $addToSet: { students: { $each: toEnroll } },
+          $pull: { joinRequests: { student: { $in: toEnroll } } }
+        }
+      );
+    }
+
+    if (toInvite.length > 0) {
+      await Invitation.bulkWrite(toInvite.map(email => ({
+        updateOne: {
+          filter: { classId: classDoc._id, email },
+          update: {
+            $set: { status: 'pending', invitedBy: req.user._id },
+            $unset: { acceptedBy: 1, acceptedAt: 1 }
+          },
+          upsert: true
+        }
+      })));
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, { total: results.length });
+
+    console.log(`Roster import: ${summary.enrolled || 0} enrolled, ${summary.invited || 0} invited to ${classDoc.name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Roster imported',
+      summary,
+      results
+    });
+
+  } catch (error) {
+    console.error('Roster import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import roster',
+      error: error.message
+    });
+  }
+});
+
+// List invitations for a class (?status=pending by default)
+router.get('/:classId/invitations', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { status = 'pending' } = req.query;
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      ...Class.staffFilter(req.user._id, 'manage_roster')
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    const invitations = await Invitation.find({ classId: classDoc._id, status })
+      .select('email status createdAt acceptedAt')
+      .sort({ email: 1 });
+
+    res.json({
+      success: true,
+      invitations,
+      count: invitations.length
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitations',
+      error: error.message
+    });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/:classId/invitations/:invitationId', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { classId, invitationId } = req.params;
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      ...Class.staffFilter(req.user._id, 'manage_roster')
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    const result = await Invitation.updateOne(
+      { _id: invitationId, classId: classDoc._id, status: 'pending' },
+      { $set: { status: 'revoked' } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation',
+      error: error.message
+    });
+  }
+});
+
+// Get pending join requests
+router.get('/:classId/requests', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { classId } = req.params;
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      ...Class.staffFilter(req.user._id, 'manage_roster')
+    }).populate('joinRequests.student', 'name email profilePicture');
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    const requests = classDoc.joinRequests
+      .filter(request => request.student)
+      .map(request => ({
+        student: {
+          id: request.student._id,
+          name: request.student.name,
+          email: request.student.email,
+          profilePicture: request.student.profilePicture
+        },
+        requestedAt: request.requestedAt
+      }));
+
+    res.json({
+      success: true,
+      requests,
+      count: requests.length
+    });
+
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch join requests',
+      error: error.message
+    });
+  }
+});
+
+// Approve or reject a pending join request
+router.post('/:classId/requests/:studentId/:decision', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { classId, studentId, decision } = req.params;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be approve or reject'
+      });
+    }
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      ...Class.staffFilter(req.user._id, 'manage_roster')
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    if (!classDoc.hasPendingRequest(studentId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Join request not found'
+      });
+    }
+
+    const update = { $pull: { joinRequests: { student: studentId } } };
+    if (decision === 'approve') {
+      update.$addToSet = { students: studentId };
+    }
+
+    await Class.updateOne({ _id: classDoc._id }, update);
+
+    console.log(`Join request ${decision === 'approve' ? 'approved' : 'rejected'}: student ${studentId} for ${classDoc.name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Student added to class' : 'Join request rejected'
+    });
+
+  } catch (error) {
+    console.error('Review join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review join request',
+      error: error.message
+    });
+  }
+});
+
+// Leave class (students)
+router.post('/:classId/leave', authenticateToken, requireRole(['student']), async (req, res) => {
+  try {
+    const { classId } = req.params;
+
+    const result = await Class.updateOne(
+      { _id: classId, students: req.user._id },
+      { $pull: { students: req.user._id } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not enrolled in this class'
+      });
+    }
+
+    console.log(`Student left class: ${req.user.email} left ${classId}`);
+
+    res.json({
+      success: true,
+      message: 'Left class successfully'
+    });
+
+  } catch (error) {
+    console.error('Leave class error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave class',
+      error: error.message
+    });
+  }
+});
+
+// Remove student from class (teacher)
+router.delete('/:classId/students/:studentId', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { classId, studentId } = req.params;
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      ...Class.staffFilter(req.user._id, 'manage_roster')
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    if (!classDoc.hasStudent(studentId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student is not enrolled in this class'
+      });
+    }
+
+    await Class.updateOne(
+      { _id: classDoc._id },
+      { $pull: { students: studentId } }
+    );
+
+    console.log(`Student removed: ${studentId} from ${classDoc.name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Student removed from class'
+    });
+
+  } catch (error) {
+    console.error('Remove student error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove student',
+      error: error.message
+    });
+  }
+});
+
+// Reset a student's device binding so their next join binds a new device
+router.delete('/:classId/students/:studentId/device', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { classId, studentId } = req.params;
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      ...Class.staffFilter(req.user._id, 'manage_roster')
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    if (!classDoc.hasStudent(studentId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student is not enrolled in this class'
+      });
+    }
+
+    await User.updateOne(
+      { _id: studentId },
+      { deviceBinding: { idHash: null } }
+    );
+
+    console.log(`Device binding reset: ${studentId} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Device binding reset'
+    });
+
+  } catch (error) {
+    console.error('Reset device binding error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset device binding',
+      error: error.message
+    });
+  }
+});
+
+// List suspicious joins in a class (?from=&to=&subjectId=): flagged records,
+// shared devices and identical coordinates
+router.get('/:classId/flags', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { from, to, subjectId } = req.query;
+
+    const classDoc = await Class.findOne({
+      _id: classId,
+      ...Class.accessFilter(req.user)
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    const filter = { classId: classDoc._id };
+    if (subjectId) filter.subjectId = subjectId;
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = new Date(from);
+      if (to) filter.timestamp.$lte = new Date(to);
+
+      if (Object.values(filter.timestamp).some(date => isNaN(date))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date range'
+        });
+      }
+    }
+
+    const report = await Attendance.getFlagReport(filter);
+
+    res.json({
+      success: true,
+      devicePolicy: deviceCheck.resolveDevicePolicy(classDoc),
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Get class flags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get flagged attendance',
+      error: error.message
+    });
+  }
+});
+
+// Keep only the known settings from a request; policy values and anything
+// else are dropped
+function pickSettings(input) {
+  const settings = {};
+  if (!input || typeof input !== 'object') return settings;
+
+  SETTINGS_FIELDS.forEach(key => {
+    if (input[key] !== undefined) settings[key] = input[key];
+  });
+  return settings;
+}
+
+// Check a staff role and permission list from a request; falls back to the
+// role's default permissions. Returns { permissions } or { error }.
+function resolveStaffPermissions(role, permissions) {
+  const defaults = Class.STAFF_ROLE_DEFAULTS[role];
+  if (!defaults) {
+    return { error: `Role must be one of: ${Object.keys(Class.STAFF_ROLE_DEFAULTS).join(', ')}` };
+  }
+
+  if (permissions === undefined || permissions === null) {
+    return { permissions: [...defaults] };
+  }
+
+  if (!Array.isArray(permissions) || permissions.some(p => !Class.STAFF_PERMISSIONS.includes(p))) {
+    return { error: `Permissions must be a list of: ${Class.STAFF_PERMISSIONS.join(', ')}` };
+  }
+
+  // Every staff member can view the class
+  return { permissions: [...new Set(['view', ...permissions])] };
+}
+
+// Pull { row, email } entries out of a roster upload, CSV text or email list.
+// CSV input uses the column whose header mentions "email", or the first
+// cell on each row that looks like an email.
+function extractRosterEntries(req) {
+  const { csv, emails } = req.body || {};
+  let rows;
+
+  if (req.file) {
+    rows = parseCsv(req.file.buffer.toString('utf8'));
+  } else if (typeof csv === 'string') {
+    rows = parseCsv(csv);
+  } else if (Array.isArray(emails)) {
+    return emails.map((email, index) => ({ row: index + 1, email: String(email).trim().toLowerCase() }));
+  } else if (typeof emails === 'string') {
+    return emails.split(/[\s,;]+/).filter(Boolean)
+      .map((email, index) => ({ row: index + 1, email: email.toLowerCase() }));
+  } else {
+    return [];
+  }
+
+  if (rows.length === 0) return [];
+
+  const emailColumn = rows[0].findIndex(cell => /e-?mail/i.test(cell));
+  const dataRows = emailColumn >= 0 ? rows.slice(1) : rows;
+  const firstRow = emailColumn >= 0 ? 2 : 1;
+
+  return dataRows.map((cells, index) => {
+    const value = emailColumn >= 0
+      ? cells[emailColumn]
+      : cells.find(cell => EMAIL_PATTERN.test(cell.trim())) || cells[0];
+
+    return { row: firstRow + index, email: (value || '').trim().toLowerCase() };
+  });
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,495 @@
+// routes/disputes.js - Student attendance disputes and the teacher review queue
+const express = require('express');
+const mongoose = require('mongoose');
+const AttendanceDispute = require('../models/AttendanceDispute');
+const Attendance = require('../models/Attendance');
+const Class = require('../models/Class');
+const Lecture = require('../models/Lecture');
+const Session = require('../models/Session');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { notify } = require('../utils/notifications');
+const realtime = require('../utils/realtime');
+const geo = require('../utils/geo');
+
+const router = express.Router();
+
+// How long after a lecture starts students can still dispute it
+const DISPUTE_WINDOW_DAYS = parseInt(process.env.DISPUTE_WINDOW_DAYS) || 7;
+
+// Statuses a teacher can grant when accepting a dispute
+const RESOLUTION_STATUSES = ['present', 'late', 'excused'];
+
+// Raise a dispute for a lecture/session (students). Body: { lectureId,
+// requestedStatus, reason, evidence: { scannedAt, error, location } }
+router.post('/', authenticateToken, requireRole(['student']), async (req, res) => {
+  try {
+    const { lectureId, requestedStatus = 'present', reason, evidence = {} } = req.body;
+
+    if (!['present', 'late'].includes(requestedStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Requested status must be present or late'
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required'
+      });
+    }
+
+    const target = await findDisputedLecture(lectureId);
+    const classDoc = target && await Class.findById(target.classId);
+    const hasRecord = target && await Attendance.findOne({ lectureId: target.lectureId, studentId: req.user._id });
+
+    if (!classDoc || (!hasRecord && !classDoc.hasStudent(req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lecture not found or you are not enrolled'
+      });
+    }
+
+    if (!target.disputable) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attendance for this lecture cannot be disputed'
+      });
+    }
+
+    if (Date.now() - target.startTime > DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Disputes must be raised within ${DISPUTE_WINDOW_DAYS} days of the lecture`
+      });
+    }
+
+    const currentStatus = hasRecord ? hasRecord.status : null;
+    if (currentStatus === 'present' || currentStatus === requestedStatus) {
+      return res.status(400).json({
+        success: false,
+        message: `Attendance is already marked as ${currentStatus}`
+      });
+    }
+
+    const pending = await AttendanceDispute.exists({
+      lectureId: target.lectureId,
+      student: req.user._id,
+      status: 'pending'
+    });
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a pending dispute for this lecture'
+      });
+    }
+
+    const parsedEvidence = parseEvidence(evidence, target);
+    if (parsedEvidence.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedEvidence.error
+      });
+    }
+
+    const dispute = await AttendanceDispute.create({
+      student: req.user._id,
+      classId: classDoc._id,
+      lectureId: target.lectureId,
+      sessionType: target.type,
+      subjectId: target.subjectId,
+      requestedStatus,
+      reason: reason.trim(),
+      evidence: parsedEvidence.evidence,
+      statusAtFiling: currentStatus
+    });
+
+    await notify(classDoc.teacher, {
+      type: 'attendance_dispute',
+      title: `Attendance dispute from ${req.user.name}`,
+      message: `${req.user.name} disputed their attendance for ${target.title} in ${classDoc.name}: ${dispute.reason}`,
+      classId: classDoc._id,
+      data: { disputeId: dispute._id, lectureId: target.lectureId, studentId: req.user._id }
+    }, { email: false });
+
+    console.log(`Attendance dispute raised: ${req.user.email} for ${target.type} ${target.lectureId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute submitted',
+      dispute: dispute.toSummary()
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a pending dispute for this lecture'
+      });
+    }
+    console.error('Create dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit dispute',
+      error: error.message
+    });
+  }
+});
+
+// List the signed-in student's disputes (?status=)
+router.get('/mine', authenticateToken, requireRole(['student']), async (req, res) => {
+  try {
+    const filter = { student: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const disputes = await AttendanceDispute.find(filter)
+      .populate('classId', 'name classCode')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      disputes: await describeDisputes(disputes),
+      count: disputes.length
+    });
+
+  } catch (error) {
+    console.error('Get my disputes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get disputes',
+      error: error.message
+    });
+  }
+});
+
+// Review queue: disputes in the classes the user can view, oldest first
+// (?classId=&status=pending)
+router.get('/', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const { classId, status = 'pending' } = req.query;
+
+    const classFilter = Class.accessFilter(req.user);
+    if (classId) {
+      if (!mongoose.isValidObjectId(classId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Class not found or access denied'
+        });
+      }
+      classFilter._id = classId;
+    }
+
+    const classIds = await Class.find(classFilter).distinct('_id');
+    if (classId && classIds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    const filter = { classId: { $in: classIds } };
+    if (status !== 'all') filter.status = status;
+
+    const disputes = await AttendanceDispute.find(filter)
+      .populate('student', 'name email profilePicture')
+      .populate('classId', 'name classCode')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      disputes: await describeDisputes(disputes),
+      count: disputes.length
+    });
+
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get disputes',
+      error: error.message
+    });
+  }
+});
+
+// Accept or reject a pending dispute. Accepting sets the attendance status
+// (body.status, default the requested one) with a history entry linked to
+// the dispute.
+router.post('/:disputeId/:decision', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { disputeId, decision } = req.params;
+    const { note } = req.body;
+
+    if (!['accept', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be accept or reject'
+      });
+    }
+
+    const dispute = mongoose.isValidObjectId(disputeId) ? await AttendanceDispute.findById(disputeId) : null;
+    const classDoc = dispute && await Class.findOne({
+      _id: dispute.classId,
+      ...Class.staffFilter(req.user._id, 'edit_attendance')
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found or access denied'
+      });
+    }
+
+    if (dispute.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Dispute is already ${dispute.status}`
+      });
+    }
+
+    if (decision === 'reject' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note is required when rejecting a dispute'
+      });
+    }
+
+    const status = req.body.status || dispute.requestedStatus;
+    if (decision === 'accept' && !RESOLUTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${RESOLUTION_STATUSES.join(', ')}`
+      });
+    }
+
+    const target = await findDisputedLecture(dispute.lectureId);
+    if (decision === 'accept' && !target?.disputable) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attendance for this lecture can no longer be changed'
+      });
+    }
+
+    dispute.status = decision === 'accept' ? 'accepted' : 'rejected';
+    dispute.resolution = {
+      note: note?.trim(),
+      resolvedBy: req.user._id,
+      resolvedAt: new Date()
+    };
+
+    if (decision === 'accept') {
+      const { attendance } = await Attendance.setStatus({
+        lectureId: dispute.lectureId,
+        studentId: dispute.student,
+        classId: dispute.classId,
+        subjectId: dispute.subjectId,
+        sessionType: dispute.sessionType
+      }, status, {
+        changedBy: req.user._id,
+        reason: `Dispute accepted: ${note?.trim() || dispute.reason}`.slice(0, 500),
+        dispute: dispute._id
+      });
+
+      const entry = attendance.history[attendance.history.length - 1];
+      dispute.resolution.status = attendance.status;
+      dispute.resolution.attendance = attendance._id;
+      dispute.resolution.historyEntry = entry?.dispute?.equals(dispute._id) ? entry._id : undefined;
+
+      await publishResolution(target, attendance);
+    }
+
+    await dispute.save();
+
+    await notify(dispute.student, {
+      type: 'dispute_decision',
+      title: `Attendance dispute ${dispute.status} in ${classDoc.name}`,
+      message: `Your attendance dispute for ${target?.title || 'a lecture'} in ${classDoc.name} was ${dispute.status}` +
+        (dispute.status === 'accepted' ? ` and you are now marked ${dispute.resolution.status}` : '') +
+        (dispute.resolution.note ? `: ${dispute.resolution.note}` : '.'),
+      classId: classDoc._id,
+      data: { disputeId: dispute._id, lectureId: dispute.lectureId, status: dispute.status }
+    });
+
+    console.log(`Dispute ${dispute.status}: ${dispute._id} in ${classDoc.name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Dispute ${dispute.status}`,
+      dispute: dispute.toSummary()
+    });
+
+  } catch (error) {
+    console.error('Resolve dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve dispute',
+      error: error.message
+    });
+  }
+});
+
+// Withdraw a pending dispute (the student who raised it)
+router.delete('/:disputeId', authenticateToken, requireRole(['student']), async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+
+    const dispute = mongoose.isValidObjectId(disputeId)
+      ? await AttendanceDispute.findOne({ _id: disputeId, student: req.user._id })
+      : null;
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    if (dispute.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Dispute is already ${dispute.status}`
+      });
+    }
+
+    dispute.status = 'cancelled';
+    await dispute.save();
+
+    res.json({
+      success: true,
+      message: 'Dispute withdrawn',
+      dispute: dispute.toSummary()
+    });
+
+  } catch (error) {
+    console.error('Cancel dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw dispute',
+      error: error.message
+    });
+  }
+});
+
+// Look up a lecture (ObjectId) or session (UUID) by its attendance lectureId.
+// Returns { type, doc, lectureId, classId, subjectId, title, startTime,
+// endTime, fence, disputable } or null.
+async function findDisputedLecture(lectureId) {
+  if (typeof lectureId !== 'string' || !lectureId) return null;
+
+  if (mongoose.isValidObjectId(lectureId)) {
+    const lecture = await Lecture.findById(lectureId);
+    if (lecture) {
+      return {
+        type: 'lecture',
+        doc: lecture,
+        lectureId: lecture._id.toString(),
+        classId: lecture.classId,
+        subjectId: lecture.subjectId,
+        title: lecture.title,
+        startTime: lecture.startTime,
+        endTime: lecture.endTime || lecture.scheduledEndTime,
+        fence: lecture.getGeofence(),
+        disputable: ['active', 'completed'].includes(lecture.status)
+      };
+    }
+  }
+
+  const session = await Session.findById(lectureId);
+  if (!session) return null;
+
+  const { coordinates } = session.location || {};
+  return {
+    type: 'session',
+    doc: session,
+    lectureId: session._id,
+    classId: session.classId,
+    subjectId: session.subjectId,
+    title: session.subjectName,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    fence: coordinates?.lat !== undefined ? { lat: coordinates.lat, lng: coordinates.lng } : null,
+    disputable: true
+  };
+}
+
+// Check the evidence a student sent and add what the server can work out.
+// Returns { evidence } or { error }.
+function parseEvidence(input, target) {
+  const evidence = {};
+
+  if (input.scannedAt) {
+    const scannedAt = new Date(input.scannedAt);
+    if (isNaN(scannedAt) || scannedAt > new Date(Date.now() + 5 * 60 * 1000)) {
+      return { error: 'scannedAt must be a valid time that is not in the future' };
+    }
+    evidence.scannedAt = scannedAt;
+    evidence.duringLecture = scannedAt >= target.startTime && (!target.endTime || scannedAt <= target.endTime);
+  }
+
+  if (input.error) {
+    evidence.error = String(input.error).slice(0, 300);
+  }
+
+  if (input.location) {
+    const position = geo.parsePosition(input.location);
+    if (!position) {
+      return { error: 'Evidence location must include valid coordinates' };
+    }
+    evidence.location = {
+      ...position,
+      distance: target.fence
+        ? Math.round(geo.calculateDistance(target.fence.lat, target.fence.lng, position.lat, position.lng))
+        : undefined
+    };
+  }
+
+  return { evidence };
+}
+
+// Keep live dashboards and derived counts in step after a resolution
+async function publishResolution(target, attendance) {
+  if (target.type === 'lecture') {
+    const studentsJoined = await target.doc.syncStudentsJoined();
+    realtime.publish(realtime.channel('lecture', target.lectureId), 'attendance.marked', {
+      lectureId: target.lectureId,
+      student: { id: attendance.studentId },
+      status: attendance.status,
+      markedBy: 'teacher',
+      studentsJoined
+    });
+  } else {
+    await target.doc.syncAttendee(attendance);
+    realtime.publish(realtime.channel('session', target.lectureId), 'attendance.marked', {
+      sessionId: target.lectureId,
+      attendee: { studentId: attendance.studentId, status: attendance.status },
+      markedBy: 'teacher'
+    });
+  }
+}
+
+// Add lecture titles/times and current statuses to disputes for responses
+async function describeDisputes(disputes) {
+  if (disputes.length === 0) return [];
+
+  const lectureIds = disputes.map(d => d.lectureId);
+  const [lectures, sessions, records] = await Promise.all([
+    Lecture.find({ _id: { $in: lectureIds.filter(id => mongoose.isValidObjectId(id)) } }).select('title startTime'),
+    Session.find({ _id: { $in: lectureIds } }).select('subjectName startTime'),
+    Attendance.find({
+      $or: disputes.map(d => ({ lectureId: d.lectureId, studentId: d.student._id || d.student }))
+    }).select('lectureId studentId status')
+  ]);
+
+  const titles = new Map([
+    ...lectures.map(l => [l._id.toString(), { title: l.title, startTime: l.startTime }]),
+    ...sessions.map(s => [s._id, { title: s.subjectName, startTime: s.startTime }])
+  ]);
+  const statuses = new Map(records.map(r => [`${r.lectureId}|${r.studentId}`, r.status]));
+
+  return disputes.map(dispute => ({
+    ...dispute.toSummary(),
+    lecture: titles.get(dispute.lectureId) || null,
+    currentStatus: statuses.get(`${dispute.lectureId}|${dispute.student._id || dispute.student}`) || null
+  }));
+}
+
+module.exports = router;
@@ -0,0 +1,418 @@
+// routes/leaveRequests.js - Student leave requests and teacher review
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const LeaveRequest = require('../models/LeaveRequest');
+const Class = require('../models/Class');
+const Lecture = require('../models/Lecture');
+const Session = require('../models/Session');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { notify } = require('../utils/notifications');
+
+const router = express.Router();
+
+// Supporting documents (medical certificates, letters) are kept in MongoDB
+const ATTACHMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+const MAX_LEAVE_DAYS = 60;
+const MAX_LEAVE_LECTURES = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Submit a leave request (students). Body: { classId, type, reason,
+// startDate, endDate } and/or { lectureIds }, optionally as multipart with
+// an "attachment" file (PDF, JPEG or PNG, up to 5MB).
+router.post('/', authenticateToken, requireRole(['student']), (req, res, next) => {
+  attachmentUpload.single('attachment')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'Attachment must be under 5MB' : 'Invalid attachment upload',
+        error: error.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const { classId, type, reason } = req.body;
+
+    if (!LeaveRequest.schema.path('type').enumValues.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${LeaveRequest.schema.path('type').enumValues.join(', ')}`
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required'
+      });
+    }
+
+    if (req.file && !ATTACHMENT_TYPES.includes(req.file.mimetype)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attachment must be a PDF, JPEG or PNG file'
+      });
+    }
+
+    const classDoc = mongoose.isValidObjectId(classId)
+      ? await Class.findOne({ _id: classId, isActive: true })
+      : null;
+
+    if (!classDoc || !classDoc.hasStudent(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or you are not enrolled'
+      });
+    }
+
+    const coverage = await parseCoverage(req.body, classDoc);
+    if (coverage.error) {
+      return res.status(400).json({
+        success: false,
+        message: coverage.error
+      });
+    }
+
+    const leave = new LeaveRequest({
+      student: req.user._id,
+      classId: classDoc._id,
+      type,
+      reason: reason.trim(),
+      startDate: coverage.startDate,
+      endDate: coverage.endDate,
+      lectureIds: coverage.lectureIds,
+      attachment: req.file
+        ? {
+            filename: req.file.originalname,
+            contentType: req.file.mimetype,
+            size: req.file.size,
+            data: req.file.buffer
+          }
+        : undefined
+    });
+
+    await leave.save();
+
+    await notify(classDoc.teacher, {
+      type: 'leave_request',
+      title: `Leave request from ${req.user.name}`,
+      message: `${req.user.name} requested ${type} leave in ${classDoc.name}: ${leave.reason}`,
+      classId: classDoc._id,
+      data: { leaveRequestId: leave._id, studentId: req.user._id }
+    }, { email: false });
+
+    console.log(`Leave requested: ${req.user.email} in ${classDoc.name} (${type})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave request submitted',
+      leaveRequest: leave.toSummary()
+    });
+
+  } catch (error) {
+    console.error('Create leave request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit leave request',
+      error: error.message
+    });
+  }
+});
+
+// List the signed-in student's leave requests (?classId=&status=)
+router.get('/mine', authenticateToken, requireRole(['student']), async (req, res) => {
+  try {
+    const { classId, status } = req.query;
+
+    const filter = { student: req.user._id };
+    if (classId && mongoose.isValidObjectId(classId)) filter.classId = classId;
+    if (status) filter.status = status;
+
+    const leaves = await LeaveRequest.find(filter)
+      .populate('classId', 'name classCode')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      leaveRequests: leaves.map(leave => leave.toSummary()),
+      count: leaves.length
+    });
+
+  } catch (error) {
+    console.error('Get my leave requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get leave requests',
+      error: error.message
+    });
+  }
+});
+
+// List leave requests for a class (?classId=&status=pending)
+router.get('/', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const { classId, status = 'pending' } = req.query;
+
+    const classDoc = mongoose.isValidObjectId(classId)
+      ? await Class.findOne({ _id: classId, ...Class.accessFilter(req.user) })
+      : null;
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    const filter = { classId: classDoc._id };
+    if (status !== 'all') filter.status = status;
+
+    const leaves = await LeaveRequest.find(filter)
+      .populate('student', 'name email profilePicture')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      leaveRequests: leaves.map(leave => leave.toSummary()),
+      count: leaves.length
+    });
+
+  } catch (error) {
+    console.error('Get leave requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get leave requests',
+      error: error.message
+    });
+  }
+});
+
+// Download a leave request's attachment (the student or class staff)
+router.get('/:requestId/attachment', authenticateToken, async (req, res) => {
+  try {
+    const found = await findLeaveForUser(req.params.requestId, req.user, '+attachment.data');
+
+    if (!found || !found.leave.attachment?.data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const { attachment } = found.leave;
+    res.setHeader('Content-Type', attachment.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${attachment.filename.replace(/["\r\n]/g, '')}"`);
+    res.send(attachment.data);
+
+  } catch (error) {
+    console.error('Get leave attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attachment',
+      error: error.message
+    });
+  }
+});
+
+// Approve or reject a pending leave request. Approving excuses the student's
+// absences in covered lectures, including ones that finish later.
+router.post('/:requestId/:decision', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { requestId, decision } = req.params;
+    const { note } = req.body;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be approve or reject'
+      });
+    }
+
+    const leave = mongoose.isValidObjectId(requestId) ? await LeaveRequest.findById(requestId) : null;
+    const classDoc = leave && await Class.findOne({
+      _id: leave.classId,
+      ...Class.staffFilter(req.user._id, 'edit_attendance')
+    });
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found or access denied'
+      });
+    }
+
+    if (leave.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Leave request is already ${leave.status}`
+      });
+    }
+
+    leave.status = decision === 'approve' ? 'approved' : 'rejected';
+    leave.reviewedBy = req.user._id;
+    leave.reviewedAt = new Date();
+    leave.reviewNote = note?.trim();
+
+    // Save first so lectures finishing meanwhile see the approval
+    await leave.save();
+
+    let excused = [];
+    if (leave.status === 'approved') {
+      excused = await leave.excuseAbsences(req.user._id);
+      await leave.save();
+    }
+
+    await notify(leave.student, {
+      type: 'leave_decision',
+      title: `Leave request ${leave.status} in ${classDoc.name}`,
+      message: `Your ${leave.type} leave request in ${classDoc.name} was ${leave.status}` +
+        (leave.reviewNote ? `: ${leave.reviewNote}` : '.'),
+      classId: classDoc._id,
+      data: { leaveRequestId: leave._id, status: leave.status, excusedLectures: excused.length }
+    });
+
+    console.log(`Leave ${leave.status}: ${leave._id} in ${classDoc.name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Leave request ${leave.status}`,
+      leaveRequest: leave.toSummary(),
+      excusedLectureIds: excused
+    });
+
+  } catch (error) {
+    console.error('Review leave request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review leave request',
+      error: error.message
+    });
+  }
+});
+
+// Cancel a pending leave request (the student who filed it)
+router.delete('/:requestId', authenticateToken, requireRole(['student']), async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    const leave = mongoose.isValidObjectId(requestId)
+      ? await LeaveRequest.findOne({ _id: requestId, student: req.user._id })
+      : null;
+
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found'
+      });
+    }
+
+    if (leave.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Leave request is already ${leave.status}`
+      });
+    }
+
+    leave.status = 'cancelled';
+    await leave.save();
+
+    res.json({
+      success: true,
+      message: 'Leave request cancelled',
+      leaveRequest: leave.toSummary()
+    });
+
+  } catch (error) {
+    console.error('Cancel leave request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel leave request',
+      error: error.message
+    });
+  }
+});
+
+// Find a leave request the user filed or whose class they can view
+async function findLeaveForUser(requestId, user, select) {
+  if (!mongoose.isValidObjectId(requestId)) return null;
+
+  const query = LeaveRequest.findById(requestId);
+  const leave = await (select ? query.select(select) : query);
+  if (!leave) return null;
+
+  if (leave.student.equals(user._id)) return { leave };
+
+  const classDoc = await Class.findById(leave.classId);
+  return classDoc && classDoc.canView(user) ? { leave, classDoc } : null;
+}
+
+// Read the dates and lectures a leave request covers. Date-only endDate
+// values cover the whole day. Returns { startDate, endDate, lectureIds } or
+// { error }.
+async function parseCoverage(body, classDoc) {
+  const { startDate, endDate } = body;
+  let { lectureIds = [] } = body;
+
+  // Multipart bodies send lectureIds as a comma separated string
+  if (typeof lectureIds === 'string') {
+    lectureIds = lectureIds.split(',').map(id => id.trim()).filter(Boolean);
+  }
+  if (!Array.isArray(lectureIds) || lectureIds.some(id => typeof id !== 'string')) {
+    return { error: 'lectureIds must be a list of lecture or session ids' };
+  }
+  lectureIds = [...new Set(lectureIds)];
+
+  if (!startDate && !endDate && lectureIds.length === 0) {
+    return { error: 'Provide a date range (startDate and endDate) or lectureIds' };
+  }
+
+  const coverage = { lectureIds };
+
+  if (startDate || endDate) {
+    const from = new Date(startDate);
+    const to = new Date(endDate);
+
+    if (!startDate || !endDate || isNaN(from) || isNaN(to)) {
+      return { error: 'startDate and endDate must both be valid dates' };
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+      to.setTime(to.getTime() + DAY_MS - 1);
+    }
+    if (from > to) {
+      return { error: 'startDate must be before endDate' };
+    }
+    if (to - from > MAX_LEAVE_DAYS * DAY_MS) {
+      return { error: `Leave can cover at most ${MAX_LEAVE_DAYS} days` };
+    }
+
+    coverage.startDate = from;
+    coverage.endDate = to;
+  }
+
+  if (lectureIds.length > MAX_LEAVE_LECTURES) {
+    return { error: `Leave can list at most ${MAX_LEAVE_LECTURES} lectures` };
+  }
+
+  if (lectureIds.length > 0) {
+    const [lectures, sessions] = await Promise.all([
+      Lecture.find({ _id: { $in: lectureIds.filter(id => mongoose.isValidObjectId(id)) }, classId: classDoc._id }).select('_id'),
+      Session.find({ _id: { $in: lectureIds }, classId: classDoc._id }).select('_id')
+    ]);
+
+    if (lectures.length + sessions.length !== lectureIds.length) {
+      return { error: 'Some lectures were not found in this class' };
+    }
+  }
+
+  return coverage;
+}
+
+module.exports = router;
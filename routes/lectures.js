@@ -1,10 +1,20 @@
 // routes/lectures.js
 const express = require('express');
+const mongoose = require('mongoose');
 const QRCode = require('qrcode');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, authenticateStream, issueStreamToken, requireRole } = require('../middleware/auth');
+const { rateLimit, rejectIfLockedOut, recordInvalidToken, clearInvalidTokens } = require('../middleware/rateLimit');
 const Lecture = require('../models/Lecture');
 const Class = require('../models/Class');
 const Attendance = require('../models/Attendance');
+const { parseToken, ROTATION_SECONDS } = require('../utils/qrToken');
+const realtime = require('../utils/realtime');
+const geo = require('../utils/geo');
+const attendancePolicy = require('../utils/attendancePolicy');
+const deviceCheck = require('../utils/deviceCheck');
+const { buildAttendanceSheet } = require('../utils/register');
+const { streamAttendanceSheet } = require('../utils/pdfReports');
+const { createOverrideHandler } = require('../utils/attendanceOverride');
 
 const router = express.Router();
 
@@ -20,10 +30,10 @@ router.post('/start', authenticateToken, requireRole(['teacher']), async (req, r
       });
     }
 
-    // Verify teacher has access to this class
+    // Verify the user can start lectures in this class
     const classDoc = await Class.findOne({
       _id: classId,
-      teacher: req.user._id
+      ...Class.staffFilter(req.user._id, 'start_lectures')
     });
 
     if (!classDoc) {
@@ -48,7 +58,9 @@ router.post('/start', authenticateToken, requireRole(['teacher']), async (req, r
       status: 'active'
     });
 
-    if (existingLecture) {
+    if (existingLecture && existingLecture.isOverdue()) {
+      await finishLecture(existingLecture, 'completed', existingLecture.scheduledEndTime);
+    } else if (existingLecture) {
       return res.status(400).json({
         success: false,
         message: 'There is already an active lecture for this class'
@@ -66,18 +78,21 @@ router.post('/start', authenticateToken, requireRole(['teacher']), async (req, r
       status: 'active'
     });
 
-    // Generate QR token and code
-    const qrToken = lecture.generateQRToken();
-    const qrCodeUrl = `${process.env.FRONTEND_URL}/join-lecture/${qrToken}`;
-    
-    // Generate QR code image
-    const qrCodeImage = await QRCode.toDataURL(qrCodeUrl);
-    
-    lecture.qrCode = qrCodeImage;
-    lecture.joinUrl = qrCodeUrl;
+    const settingsError = applyLocationSettings(lecture, req.body) || applyPolicyOverrides(lecture, req.body);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    // Secret for the rotating QR tokens
+    lecture.ensureQRSecret();
 
     await lecture.save();
 
+    const qr = await buildQRPayload(lecture);
+
     console.log(`Lecture started: ${lecture.title} for ${subject.name} in ${classDoc.name} by ${req.user.email}`);
 
     res.status(201).json({
@@ -91,9 +106,9 @@ router.post('/start', authenticateToken, requireRole(['teacher']), async (req, r
         startTime: lecture.startTime,
         duration: lecture.duration,
         status: lecture.status,
-        qrToken: lecture.qrToken,
-        qrCode: lecture.qrCode,
-        joinUrl: lecture.joinUrl,
+        location: lecture.location,
+        requireLocation: lecture.settings.requireLocation,
+        ...qr,
         studentsJoined: lecture.studentsJoined
       }
     });
@@ -108,39 +123,115 @@ router.post('/start', authenticateToken, requireRole(['teacher']), async (req, r
   }
 });
 
-// Stop lecture session
-router.post('/stop/:lectureId', authenticateToken, requireRole(['teacher']), async (req, res) => {
+// Start a scheduled lecture
+router.post('/:lectureId/start', authenticateToken, requireRole(['teacher']), async (req, res) => {
   try {
     const { lectureId } = req.params;
 
-    const lecture = await Lecture.findOne({
-      _id: lectureId,
-      teacher: req.user._id,
-      isActive: true
+    const found = await findTeacherLecture(lectureId, req.user, 'start_lectures');
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lecture not found or access denied'
+      });
+    }
+
+    const { lecture, classDoc } = found;
+    if (!lecture.canTransitionTo('active')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot start a ${lecture.status} lecture`
+      });
+    }
+
+    const existingLecture = await Lecture.findOne({
+      classId: classDoc._id,
+      status: 'active'
     });
 
-    if (!lecture) {
-      return res.status(404).json({
+    if (existingLecture && existingLecture.isOverdue()) {
+      await finishLecture(existingLecture, 'completed', existingLecture.scheduledEndTime);
+    } else if (existingLecture) {
+      return res.status(400).json({
         success: false,
-        message: 'Active lecture not found'
+        message: 'There is already an active lecture for this class'
+      });
+    }
+
+    const settingsError = applyLocationSettings(lecture, req.body) || applyPolicyOverrides(lecture, req.body);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
       });
     }
 
-    // Stop the lecture
-    lecture.isActive = false;
-    lecture.endTime = new Date();
+    lecture.transitionTo('active');
     await lecture.save();
 
-    // Get attendance count
-    const attendanceCount = await Attendance.countDocuments({
-      lecture: lectureId
+    const qr = await buildQRPayload(lecture);
+
+    console.log(`Scheduled lecture started: ${lecture.title} in ${classDoc.name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Lecture started successfully',
+      lecture: {
+        id: lecture._id,
+        title: lecture.title,
+        classId: lecture.classId,
+        subjectId: lecture.subjectId,
+        startTime: lecture.startTime,
+        duration: lecture.duration,
+        room: lecture.room,
+        status: lecture.status,
+        location: lecture.location,
+        requireLocation: lecture.settings.requireLocation,
+        ...qr,
+        studentsJoined: lecture.studentsJoined
+      }
     });
 
-    console.log(`Lecture stopped: ${lectureId} by ${req.user.email}`);
+  } catch (error) {
+    console.error('Start scheduled lecture error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start lecture',
+      error: error.message
+    });
+  }
+});
+
+// End an active lecture (completes it)
+router.post(['/stop/:lectureId', '/:lectureId/complete'], authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { lectureId } = req.params;
+
+    const found = await findTeacherLecture(lectureId, req.user, 'start_lectures');
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lecture not found or access denied'
+      });
+    }
+
+    const { lecture } = found;
+    if (!lecture.canTransitionTo('completed')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot complete a ${lecture.status} lecture`
+      });
+    }
+
+    const attendanceCount = await finishLecture(lecture, 'completed');
+
+    console.log(`Lecture completed: ${lectureId} by ${req.user.email}`);
 
     res.json({
       success: true,
       message: 'Lecture stopped successfully',
+      status: lecture.status,
+      endTime: lecture.endTime,
       attendanceCount: attendanceCount
     });
 
@@ -154,64 +245,91 @@ router.post('/stop/:lectureId', authenticateToken, requireRole(['teacher']), asy
   }
 });
 
-// Get current lecture QR token (for refreshing)
-router.get('/:lectureId/qr', authenticateToken, async (req, res) => {
+// Cancel a scheduled or active lecture
+router.post('/:lectureId/cancel', authenticateToken, requireRole(['teacher']), async (req, res) => {
   try {
     const { lectureId } = req.params;
 
-    const lecture = await Lecture.findOne({
-      _id: lectureId,
-      isActive: true
-    }).populate('class');
-
-    if (!lecture) {
+    const found = await findTeacherLecture(lectureId, req.user, 'start_lectures');
+    if (!found) {
       return res.status(404).json({
         success: false,
-        message: 'Active lecture not found'
+        message: 'Lecture not found or access denied'
+      });
+    }
+
+    const { lecture } = found;
+    if (!lecture.canTransitionTo('cancelled')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a ${lecture.status} lecture`
       });
     }
 
-    // Check if user has access (teacher or student in class)
-    const isTeacher = lecture.teacher.toString() === req.user._id.toString();
-    const isStudent = req.user.role === 'student' && 
-                     lecture.class.students.includes(req.user._id);
+    await finishLecture(lecture, 'cancelled');
 
-    if (!isTeacher && !isStudent) {
-      return res.status(403).json({
+    console.log(`Lecture cancelled: ${lectureId} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Lecture cancelled successfully',
+      status: lecture.status
+    });
+
+  } catch (error) {
+    console.error('Cancel lecture error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel lecture',
+      error: error.message
+    });
+  }
+});
+
+// Get current lecture QR token (for refreshing). Only staff who can run the
+// lecture get it; students scan it from the classroom screen.
+router.get('/:lectureId/qr', authenticateToken, requireRole(['teacher']), async (req, res) => {
+  try {
+    const { lectureId } = req.params;
+
+    const found = await findTeacherLecture(lectureId, req.user, 'start_lectures');
+    const lecture = found?.lecture;
+
+    if (!lecture || lecture.status !== 'active') {
+      return res.status(404).json({
         success: false,
-        message: 'Access denied to this lecture'
+        message: 'Active lecture not found or access denied'
+      });
+    }
+
+    if (lecture.isOverdue()) {
+      await finishLecture(lecture, 'completed', lecture.scheduledEndTime);
+      return res.status(404).json({
+        success: false,
+        message: 'Active lecture not found'
       });
     }
 
-    // Check if token needs refresh (older than 5 minutes)
-    if (lecture.tokenExpiry < new Date()) {
-      lecture.qrToken = generateQRToken();
-      lecture.tokenExpiry = new Date(Date.now() + 5 * 60 * 1000);
+    // Lectures started before rotating tokens existed have no secret yet
+    if (!lecture.qrSecret) {
+      lecture.ensureQRSecret();
       await lecture.save();
     }
 
-    // Generate new QR code
-    const joinUrl = `${process.env.FRONTEND_URL}/join-lecture/${lecture.qrToken}`;
-    const qrCodeDataUrl = await QRCode.toDataURL(joinUrl, {
-      width: 200,
-      margin: 2
-    });
+    // QR for the current rotation window
+    const qr = await buildQRPayload(lecture);
 
     // Get current attendance count
-    const attendanceCount = await Attendance.countDocuments({
-      lecture: lectureId
-    });
+    const attendanceCount = await Attendance.countAttended(lecture._id);
 
     res.json({
       success: true,
       lecture: {
         id: lecture._id,
-        qrToken: lecture.qrToken,
-        qrCode: qrCodeDataUrl,
-        joinUrl: joinUrl,
+        ...qr,
         studentsJoined: attendanceCount,
         startTime: lecture.startTime,
-        isActive: lecture.isActive
+        status: lecture.status
       }
     });
 
@@ -225,38 +343,132 @@ router.get('/:lectureId/qr', authenticateToken, async (req, res) => {
   }
 });
 
-// Join lecture (for students)
-router.post('/join/:qrToken', authenticateToken, requireRole(['student']), async (req, res) => {
+// Short-lived token for opening the event stream with EventSource
+router.post('/:lectureId/events/token', authenticateToken, requireRole(['teacher']), issueStreamToken);
+
+// Live event stream for the teacher dashboard (attendance.marked, qr.rotated, session.ended)
+router.get('/:lectureId/events', authenticateStream, requireRole(['teacher']), async (req, res) => {
   try {
-    const { qrToken } = req.params;
-    const { latitude, longitude } = req.body;
+    const { lectureId } = req.params;
 
-    // Find active lecture by QR token
-    const lecture = await Lecture.findOne({
-      qrToken: qrToken,
-      isActive: true,
-      tokenExpiry: { $gt: new Date() } // Token not expired
-    }).populate('class');
+    const found = await findTeacherLecture(lectureId, req.user, 'start_lectures');
+    const lecture = found?.lecture;
 
-    if (!lecture) {
+    if (!lecture || lecture.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Active lecture not found or access denied'
+      });
+    }
+
+    if (!lecture.qrSecret) {
+      lecture.ensureQRSecret();
+      await lecture.save();
+    }
+
+    const stream = realtime.openStream(req, res, realtime.channel('lecture', lecture._id));
+
+    const sendQR = async () => {
+      try {
+        stream.send('qr.rotated', await buildQRPayload(lecture));
+      } catch (error) {
+        console.error('Lecture stream QR error:', error);
+      }
+    };
+
+    await sendQR();
+    stream.onClose(realtime.everyWindow(ROTATION_SECONDS, sendQR));
+
+  } catch (error) {
+    console.error('Lecture stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to open lecture stream',
+        error: error.message
+      });
+    }
+  }
+});
+
+// Join lecture (for students)
+router.post('/join/:qrToken', authenticateToken, requireRole(['student']), rateLimit('join'), rejectIfLockedOut, async (req, res) => {
+  try {
+    const { qrToken } = req.params;
+    const position = geo.parsePosition(req.body.location || req.body);
+
+    // Find active lecture named in the QR token and check its signature
+    const parsed = parseToken(qrToken);
+    const lecture = parsed && mongoose.isValidObjectId(parsed.id)
+      ? await Lecture.findOne({
+          _id: parsed.id,
+          status: 'active'
+        }).select('+qrSecret')
+      : null;
+
+    if (!lecture || !lecture.verifyQRToken(qrToken)) {
+      await recordInvalidToken(req);
       return res.status(404).json({
         success: false,
         message: 'Invalid or expired QR code'
       });
     }
 
+    if (lecture.isOverdue()) {
+      await finishLecture(lecture, 'completed', lecture.scheduledEndTime);
+      return res.status(400).json({
+        success: false,
+        message: 'Lecture has ended'
+      });
+    }
+
     // Check if student is enrolled in this class
-    if (!lecture.class.students.includes(req.user._id)) {
+    const classDoc = await Class.findById(lecture.classId);
+    if (!classDoc || !classDoc.hasStudent(req.user._id)) {
       return res.status(403).json({
         success: false,
         message: 'You are not enrolled in this class'
       });
     }
 
+    // Apply the late/close policy
+    const joinedAt = new Date();
+    const policy = attendancePolicy.resolvePolicy(classDoc, lecture);
+    const join = attendancePolicy.classifyJoin(policy, lecture.startTime, joinedAt);
+
+    if (join.closed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Attendance for this lecture is closed',
+        closedAt: join.closedAt
+      });
+    }
+
+    // Check the geofence
+    const fence = lecture.getGeofence();
+    let distance;
+
+    if (lecture.settings.requireLocation) {
+      const check = geo.checkGeofence(fence, position, {
+        maxAccuracy: lecture.settings.maxLocationAccuracy || geo.DEFAULT_MAX_ACCURACY
+      });
+
+      if (!check.allowed) {
+        return res.status(400).json({
+          success: false,
+          message: check.reason,
+          distance: check.distance
+        });
+      }
+      distance = check.distance;
+    } else if (fence && position) {
+      distance = Math.round(geo.calculateDistance(fence.lat, fence.lng, position.lat, position.lng));
+    }
+
     // Check if attendance already marked for this lecture
     const existingAttendance = await Attendance.findOne({
-      lecture: lecture._id,
-      student: req.user._id
+      lectureId: lecture._id.toString(),
+      studentId: req.user._id
     });
 
     if (existingAttendance) {
@@ -266,30 +478,67 @@ router.post('/join/:qrToken', authenticateToken, requireRole(['student']), async
       });
     }
 
+    // Apply the class device policy
+    const deviceResult = await deviceCheck.checkJoin(req, classDoc, lecture._id, position);
+    if (deviceResult.blocked) {
+      return res.status(403).json({
+        success: false,
+        message: deviceResult.blocked,
+        code: 'DEVICE_REJECTED'
+      });
+    }
+
     // Mark attendance
     const attendance = new Attendance({
-      lecture: lecture._id,
-      class: lecture.class._id,
-      student: req.user._id,
-      markedAt: new Date(),
+      lectureId: lecture._id.toString(),
+      studentId: req.user._id,
+      classId: classDoc._id,
+      subjectId: lecture.subjectId,
+      sessionType: 'lecture',
+      status: join.status,
       markedBy: 'qr_scan',
-      location: latitude && longitude ? {
-        latitude: parseFloat(latitude),
-        longitude: parseFloat(longitude)
-      } : undefined
+      timestamp: joinedAt,
+      location: position ? { ...position, distance } : undefined,
+      device: deviceResult.device,
+      flags: deviceResult.flags
     });
 
     await attendance.save();
 
-    console.log(`Attendance marked: ${req.user.email} joined ${lecture.class.subject}`);
+    if (deviceResult.bind) {
+      await deviceCheck.bindDevice(req.user, deviceResult.device);
+    }
+
+    const studentsJoined = await lecture.syncStudentsJoined();
+
+    realtime.publish(realtime.channel('lecture', lecture._id), 'attendance.marked', {
+      lectureId: lecture._id,
+      student: {
+        id: req.user._id,
+        name: req.user.name,
+        email: req.user.email,
+        profilePicture: req.user.profilePicture
+      },
+      markedAt: attendance.timestamp,
+      status: attendance.status,
+      studentsJoined
+    });
+
+    await clearInvalidTokens(req);
+
+    console.log(`Attendance marked: ${req.user.email} joined ${lecture.title} in ${classDoc.name}`);
 
     res.json({
       success: true,
-      message: 'Attendance marked successfully',
+      message: join.status === 'absent'
+        ? 'Joined after the late cutoff; recorded as absent'
+        : 'Attendance marked successfully',
       attendance: {
         lectureId: lecture._id,
-        className: lecture.class.subject,
-        markedAt: attendance.markedAt
+        lectureTitle: lecture.title,
+        className: classDoc.name,
+        status: attendance.status,
+        markedAt: attendance.timestamp
       }
     });
 
@@ -303,27 +552,25 @@ router.post('/join/:qrToken', authenticateToken, requireRole(['student']), async
   }
 });
 
-// Get active lectures for a class
+// Get active lecture for a class
 router.get('/active/:classId', authenticateToken, async (req, res) => {
   try {
     const { classId } = req.params;
 
-    const lecture = await Lecture.findOne({
-      class: classId,
-      isActive: true
-    }).populate('class').populate('teacher', 'name email');
+    const classDoc = mongoose.isValidObjectId(classId)
+      ? await Class.findById(classId).populate('teacher', 'name email')
+      : null;
 
-    if (!lecture) {
+    if (!classDoc) {
       return res.status(404).json({
         success: false,
-        message: 'No active lecture found for this class'
+        message: 'Class not found'
       });
     }
 
     // Check access
-    const isTeacher = lecture.teacher._id.toString() === req.user._id.toString();
-    const isStudent = req.user.role === 'student' && 
-                     lecture.class.students.includes(req.user._id);
+    const isTeacher = classDoc.hasPermission(req.user._id, 'view');
+    const isStudent = req.user.role === 'student' && classDoc.hasStudent(req.user._id);
 
     if (!isTeacher && !isStudent) {
       return res.status(403).json({
@@ -332,22 +579,43 @@ router.get('/active/:classId', authenticateToken, async (req, res) => {
       });
     }
 
-    // Get attendance count
-    const attendanceCount = await Attendance.countDocuments({
-      lecture: lecture._id
+    let lecture = await Lecture.findOne({
+      classId: classDoc._id,
+      status: 'active'
     });
 
+    if (lecture && lecture.isOverdue()) {
+      await finishLecture(lecture, 'completed', lecture.scheduledEndTime);
+      lecture = null;
+    }
+
+    if (!lecture) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active lecture found for this class'
+      });
+    }
+
+    // Get attendance count
+    const attendanceCount = await Attendance.countAttended(lecture._id);
+
+    const subject = classDoc.subjects.find(s => s.code === lecture.subjectId);
+
     res.json({
       success: true,
       lecture: {
         id: lecture._id,
-        classId: lecture.class._id,
-        className: lecture.class.subject,
-        teacherName: lecture.teacher.name,
+        title: lecture.title,
+        classId: classDoc._id,
+        className: classDoc.name,
+        subjectId: lecture.subjectId,
+        subjectName: subject ? subject.name : lecture.subjectId,
+        teacherName: classDoc.teacher.name,
         startTime: lecture.startTime,
         duration: lecture.duration,
+        scheduledEndTime: lecture.scheduledEndTime,
         studentsJoined: attendanceCount,
-        isActive: lecture.isActive
+        status: lecture.status
       }
     });
 
@@ -362,39 +630,36 @@ router.get('/active/:classId', authenticateToken, async (req, res) => {
 });
 
 // Get lecture attendance list
-router.get('/:lectureId/attendance', authenticateToken, requireRole(['teacher']), async (req, res) => {
+router.get('/:lectureId/attendance', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
   try {
     const { lectureId } = req.params;
 
-    const lecture = await Lecture.findOne({
-      _id: lectureId,
-      teacher: req.user._id
-    });
-
-    if (!lecture) {
+    const found = await findTeacherLecture(lectureId, req.user);
+    if (!found) {
       return res.status(404).json({
         success: false,
         message: 'Lecture not found or access denied'
       });
     }
 
-    const attendanceList = await Attendance.find({
-      lecture: lectureId
-    }).populate('student', 'name email profilePicture')
-      .sort({ markedAt: 1 });
-
-    const attendanceData = attendanceList.map(attendance => ({
-      id: attendance._id,
-      student: {
-        id: attendance.student._id,
-        name: attendance.student.name,
-        email: attendance.student.email,
-        profilePicture: attendance.student.profilePicture
-      },
-      markedAt: attendance.markedAt,
-      markedBy: attendance.markedBy,
-      location: attendance.location
-    }));
+    const attendanceList = await Attendance.getLectureAttendance(lectureId);
+
+    const attendanceData = attendanceList
+      .filter(attendance => attendance.studentId)
+      .map(attendance => ({
+        id: attendance._id,
+        student: {
+          id: attendance.studentId._id,
+          name: attendance.studentId.name,
+          email: attendance.studentId.email,
+          profilePicture: attendance.studentId.profilePicture
+        },
+        status: attendance.status,
+        markedAt: attendance.timestamp,
+        markedBy: attendance.markedBy,
+        edited: attendance.history.length > 0,
+        location: attendance.location
+      }));
 
     res.json({
       success: true,
@@ -412,38 +677,191 @@ router.get('/:lectureId/attendance', authenticateToken, requireRole(['teacher'])
   }
 });
 
-// Get lecture analytics
-router.get('/:lectureId/analytics', authenticateToken, requireRole(['teacher']), async (req, res) => {
+// Mark, unmark or change a student's attendance status (teacher override).
+// DELETE is "unmark" and records the student as absent; the record and its
+// history are kept for the audit trail.
+const overrideAttendance = createOverrideHandler(async (req) => {
+  const found = await findTeacherLecture(req.params.lectureId, req.user, 'edit_attendance');
+  if (!found) {
+    return { error: { status: 404, message: 'Lecture not found or access denied' } };
+  }
+
+  const { lecture, classDoc } = found;
+  if (!['active', 'completed'].includes(lecture.status)) {
+    return { error: { status: 400, message: `Cannot edit attendance for a ${lecture.status} lecture` } };
+  }
+
+  return {
+    label: 'lecture',
+    record: {
+      lectureId: lecture._id,
+      classId: classDoc._id,
+      subjectId: lecture.subjectId,
+      sessionType: 'lecture'
+    },
+    isEnrolled: async (studentId) => classDoc.hasStudent(studentId),
+    afterChange: async (attendance) => {
+      const studentsJoined = await lecture.syncStudentsJoined();
+
+      realtime.publish(realtime.channel('lecture', lecture._id), 'attendance.marked', {
+        lectureId: lecture._id,
+        student: { id: attendance.studentId },
+        status: attendance.status,
+        markedBy: 'teacher',
+        studentsJoined
+      });
+    }
+  };
+});
+
+router.route('/:lectureId/attendance/:studentId')
+  .put(authenticateToken, requireRole(['teacher']), (req, res) => overrideAttendance(req, res, req.body.status))
+  .delete(authenticateToken, requireRole(['teacher']), (req, res) => overrideAttendance(req, res, 'absent'));
+
+// Get the change history of a student's attendance record
+router.get('/:lectureId/attendance/:studentId/history', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const { lectureId, studentId } = req.params;
+
+    const found = await findTeacherLecture(lectureId, req.user);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lecture not found or access denied'
+      });
+    }
+
+    const attendance = mongoose.isValidObjectId(studentId)
+      ? await Attendance.findOne({ lectureId: lectureId.toString(), studentId })
+          .populate('history.changedBy', 'name email')
+      : null;
+
+    if (!attendance) {
+      return res.status(404).json({
+        success: false,
+        message: 'No attendance record for this student'
+      });
+    }
+
+    res.json({
+      success: true,
+      status: attendance.status,
+      markedBy: attendance.markedBy,
+      markedAt: attendance.timestamp,
+      history: attendance.history
+    });
+
+  } catch (error) {
+    console.error('Get attendance history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attendance history',
+      error: error.message
+    });
+  }
+});
+
+// List suspicious joins for a lecture: flagged records, shared devices and
+// identical coordinates
+router.get('/:lectureId/flags', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const found = await findTeacherLecture(req.params.lectureId, req.user);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lecture not found or access denied'
+      });
+    }
+
+    const report = await Attendance.getFlagReport({ lectureId: found.lecture._id.toString() });
+
+    res.json({
+      success: true,
+      devicePolicy: deviceCheck.resolveDevicePolicy(found.classDoc),
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Get lecture flags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get flagged attendance',
+      error: error.message
+    });
+  }
+});
+
+// Download the lecture attendance report as PDF
+router.get('/:lectureId/report', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
   try {
     const { lectureId } = req.params;
 
-    const lecture = await Lecture.findOne({
-      _id: lectureId,
-      teacher: req.user._id
-    }).populate('class');
+    const found = await findTeacherLecture(lectureId, req.user);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lecture not found or access denied'
+      });
+    }
+
+    const { lecture, classDoc } = found;
+    if (!['active', 'completed'].includes(lecture.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `No report for a ${lecture.status} lecture`
+      });
+    }
+
+    const sheet = await buildAttendanceSheet(classDoc, lecture, 'lecture');
+    streamAttendanceSheet(sheet, res, `lecture-${lectureId}.pdf`);
 
-    if (!lecture) {
+  } catch (error) {
+    console.error('Lecture report error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate lecture report',
+        error: error.message
+      });
+    }
+  }
+});
+
+// Get lecture analytics
+router.get('/:lectureId/analytics', authenticateToken, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const { lectureId } = req.params;
+
+    const found = await findTeacherLecture(lectureId, req.user);
+    if (!found) {
       return res.status(404).json({
         success: false,
         message: 'Lecture not found or access denied'
       });
     }
 
+    const { lecture, classDoc } = found;
+
     // Get attendance stats
-    const totalStudents = lecture.class.students.length;
-    const attendanceCount = await Attendance.countDocuments({
-      lecture: lectureId
+    // Ended lectures are measured against the roster they were held with
+    const totalStudents = lecture.rosterSnapshotAt
+      ? lecture.roster.length
+      : classDoc.students.length;
+    const attendanceCount = await Attendance.countAttended(lecture._id);
+    const excusedCount = await Attendance.countDocuments({
+      lectureId: lecture._id.toString(),
+      status: 'excused'
     });
 
     // Get attendance timeline (by minute)
     const attendanceTimeline = await Attendance.aggregate([
-      { $match: { lecture: lecture._id } },
+      { $match: { lectureId: lecture._id.toString(), status: { $in: ['present', 'late'] } } },
       {
         $group: {
           _id: {
             $dateToString: {
               format: "%H:%M",
-              date: "$markedAt"
+              date: "$timestamp"
             }
           },
           count: { $sum: 1 }
@@ -452,26 +870,33 @@ router.get('/:lectureId/analytics', authenticateToken, requireRole(['teacher']),
       { $sort: { "_id": 1 } }
     ]);
 
-    // Calculate attendance rate
-    const attendanceRate = totalStudents > 0 
-      ? Math.round((attendanceCount / totalStudents) * 100) 
-      : 0;
 
-    // Get late joiners (joined after 10 minutes)
-    const lateThreshold = new Date(lecture.startTime.getTime() + 10 * 60 * 1000);
+    // Get late joiners
     const lateJoiners = await Attendance.countDocuments({
-      lecture: lectureId,
-      markedAt: { $gt: lateThreshold }
+      lectureId: lecture._id.toString(),
+      status: 'late'
     });
 
+    // Calculate attendance rate, crediting late joiners per the policy
+    const policy = attendancePolicy.resolvePolicy(classDoc, lecture);
+    const attendanceRate = Math.round(Attendance.attendanceRate({
+      total: totalStudents,
+      present: attendanceCount - lateJoiners,
+      late: lateJoiners,
+      excused: excusedCount
+    }, policy.lateCredit));
+
     res.json({
       success: true,
       analytics: {
+        status: lecture.status,
         totalStudents,
         attendanceCount,
         attendanceRate,
-        absentCount: totalStudents - attendanceCount,
+        excusedCount,
+        absentCount: Math.max(totalStudents - attendanceCount - excusedCount, 0),
         lateJoiners,
+        policy,
         attendanceTimeline,
         lectureDuration: lecture.endTime 
           ? Math.round((lecture.endTime - lecture.startTime) / 60000) 
@@ -489,11 +914,113 @@ router.get('/:lectureId/analytics', authenticateToken, requireRole(['teacher']),
   }
 });
 
-// Generate QR token
-function generateQRToken() {
-  const timestamp = Date.now().toString(36);
-  const randomStr = Math.random().toString(36).substring(2, 15);
-  return `qr_${timestamp}_${randomStr}`;
+// Set the lecture geofence from the request body ({ location: { latitude, longitude, radius },
+// requireLocation, maxLocationAccuracy }). Returns an error message or null.
+function applyLocationSettings(lecture, body) {
+  const { location, requireLocation, maxLocationAccuracy } = body;
+
+  if (location) {
+    const center = geo.parsePosition(location);
+    const radius = location.radius !== undefined ? parseFloat(location.radius) : 100;
+
+    if (!center || !(radius > 0)) {
+      return 'Location must have valid latitude, longitude and radius';
+    }
+    lecture.location = { latitude: center.lat, longitude: center.lng, radius };
+  }
+
+  if (requireLocation !== undefined) {
+    lecture.settings.requireLocation = !!requireLocation;
+  }
+
+  if (maxLocationAccuracy !== undefined) {
+    const maxAccuracy = parseFloat(maxLocationAccuracy);
+    if (!(maxAccuracy > 0)) {
+      return 'maxLocationAccuracy must be a positive number of meters';
+    }
+    lecture.settings.maxLocationAccuracy = maxAccuracy;
+  }
+
+  if (lecture.settings.requireLocation && !lecture.getGeofence()) {
+    return 'A lecture location is required when requireLocation is on';
+  }
+
+  return null;
+}
+
+// Set per-lecture attendance policy overrides from the request body
+// ({ attendancePolicy, allowLateJoin }). Returns an error message or null.
+function applyPolicyOverrides(lecture, body) {
+  const { attendancePolicy: overrides, allowLateJoin } = body;
+
+  if (overrides !== undefined) {
+    const policyError = attendancePolicy.validatePolicy(overrides);
+    if (policyError) return policyError;
+    lecture.set('settings.attendancePolicy', attendancePolicy.pickPolicy(overrides));
+  }
+
+  if (allowLateJoin !== undefined) {
+    lecture.settings.allowLateJoin = !!allowLateJoin;
+  }
+
+  return null;
+}
+
+// Find a lecture whose class the user can access with the given permission
+// (class staff, or an admin over the class when only viewing)
+async function findTeacherLecture(lectureId, user, permission = 'view') {
+  if (!mongoose.isValidObjectId(lectureId)) return null;
+
+  const lecture = await Lecture.findById(lectureId).select('+qrSecret');
+  if (!lecture) return null;
+
+  const classDoc = await Class.findOne({
+    _id: lecture.classId,
+    ...Class.accessFilter(user, permission)
+  });
+
+  return classDoc ? { lecture, classDoc } : null;
+}
+
+// Move a lecture to completed/cancelled, record absences for completed
+// lectures and notify live dashboards.
+// Returns the attendance count.
+async function finishLecture(lecture, status, at = new Date()) {
+  lecture.transitionTo(status, at);
+  await lecture.save();
+
+  if (status === 'completed') {
+    await lecture.finalizeAttendance();
+  }
+
+  const attendanceCount = await Attendance.countAttended(lecture._id);
+
+  realtime.publish(realtime.channel('lecture', lecture._id), 'session.ended', {
+    lectureId: lecture._id,
+    status: lecture.status,
+    endTime: lecture.endTime,
+    attendanceCount
+  });
+
+  return attendanceCount;
+}
+
+// Build the current QR token, join URL and QR image for an active lecture
+async function buildQRPayload(lecture) {
+  const { token, expiresAt, rotationPeriod } = lecture.getCurrentQRToken();
+  const joinUrl = `${process.env.FRONTEND_URL}/join-lecture/${token}`;
+  const qrCode = await QRCode.toDataURL(joinUrl, {
+    width: 200,
+    margin: 2
+  });
+
+  return {
+    qrToken: token,
+    qrCode,
+    joinUrl,
+    qrExpiresAt: expiresAt,
+    rotationPeriod
+  };
 }
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,118 @@
+// routes/me.js - The signed-in student's own attendance record
+const express = require('express');
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const Attendance = require('../models/Attendance');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Attendance percentage students are projected against unless they pass ?target=
+const DEFAULT_TARGET = parseFloat(process.env.ATTENDANCE_TARGET) || 75;
+
+// Get attendance summary, per-subject percentages, timeline and projections
+// for every enrolled class (?classId=&subjectId=&startDate=&endDate=&target=)
+router.get('/attendance', authenticateToken, requireRole(['student']), async (req, res) => {
+  try {
+    const { classId, subjectId, startDate, endDate } = req.query;
+    const target = req.query.target === undefined ? DEFAULT_TARGET : Number(req.query.target);
+
+    if (!(target > 0 && target <= 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Target must be a percentage between 0 and 100'
+      });
+    }
+
+    if ((startDate && isNaN(new Date(startDate))) || (endDate && isNaN(new Date(endDate)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    const filter = { students: req.user._id, isActive: true };
+    if (classId) {
+      if (!mongoose.isValidObjectId(classId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Class not found or access denied'
+        });
+      }
+      filter._id = classId;
+    }
+
+    const classes = await Class.find(filter).select('name section classCode subjects').sort({ name: 1 });
+
+    if (classId && classes.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found or access denied'
+      });
+    }
+
+    const options = { startDate, endDate, subjectId };
+    const overall = { total: 0, present: 0, late: 0, excused: 0, absent: 0, attended: 0 };
+
+    const summaries = await Promise.all(classes.map(async (classDoc) => {
+      const [stats, timeline] = await Promise.all([
+        Attendance.getStats(classDoc._id, { ...options, studentId: req.user._id }),
+        Attendance.getStudentHistory(req.user._id, classDoc._id, options)
+      ]);
+
+      const { lateCredit } = stats;
+      const row = stats.students[0] || { total: 0, present: 0, late: 0, excused: 0, absent: 0, attendanceRate: 0, subjects: [] };
+      const subjectNames = new Map(classDoc.subjects.map(s => [s.code, s.name]));
+
+      ['total', 'present', 'late', 'excused', 'absent'].forEach(key => { overall[key] += row[key]; });
+      overall.attended += row.present + row.late * lateCredit;
+
+      return {
+        class: {
+          id: classDoc._id,
+          name: classDoc.name,
+          classCode: classDoc.classCode,
+          section: classDoc.section
+        },
+        lateCredit,
+        ...pickCounts(row),
+        attendanceRate: row.attendanceRate,
+        projection: Attendance.projectTarget(row, target, lateCredit),
+        subjects: row.subjects.map(subject => ({
+          ...subject,
+          projection: Attendance.projectTarget(subject, target, lateCredit)
+        })),
+        timeline: timeline.map(entry => ({
+          ...entry,
+          subjectName: subjectNames.get(entry.subjectId) || entry.subjectId
+        }))
+      };
+    }));
+
+    const counted = overall.total - overall.excused;
+
+    res.json({
+      success: true,
+      target,
+      overall: {
+        ...pickCounts(overall),
+        attendanceRate: counted > 0 ? Number(((overall.attended / counted) * 100).toFixed(1)) : 0
+      },
+      classes: summaries
+    });
+
+  } catch (error) {
+    console.error('Get my attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attendance',
+      error: error.message
+    });
+  }
+});
+
+function pickCounts({ total, present, late, excused, absent }) {
+  return { total, present, late, excused, absent };
+}
+
+module.exports = router;
@@ -0,0 +1,172 @@
+// routes/notifications.js - In-app notification inbox
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+// List notifications, newest first (?unread=true&limit=20&before=<ISO date>)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { unread, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_PAGE_SIZE);
+
+    const filter = { user: req.user._id };
+    if (unread === 'true') filter.readAt = null;
+    if (before) {
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid before date'
+        });
+      }
+      filter.createdAt = { $lt: beforeDate };
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(limit + 1),
+      Notification.countUnread(req.user._id)
+    ]);
+
+    res.json({
+      success: true,
+      notifications: notifications.slice(0, limit).map(n => n.toInboxItem()),
+      unreadCount,
+      hasMore: notifications.length > limit
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notifications',
+      error: error.message
+    });
+  }
+});
+
+// Get the unread badge count
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.json({
+      success: true,
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get unread count',
+      error: error.message
+    });
+  }
+});
+
+// Mark every notification as read
+router.post('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.markRead(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: error.message
+    });
+  }
+});
+
+// Get or update notification preferences ({ email: true|false })
+router.route('/preferences')
+  .get(authenticateToken, (req, res) => {
+    res.json({
+      success: true,
+      preferences: {
+        email: req.user.notificationPreferences?.email !== false
+      }
+    });
+  })
+  .put(authenticateToken, async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      if (typeof email !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'email must be true or false'
+        });
+      }
+
+      await User.updateOne(
+        { _id: req.user._id },
+        { 'notificationPreferences.email': email }
+      );
+
+      res.json({
+        success: true,
+        message: 'Notification preferences updated',
+        preferences: { email }
+      });
+
+    } catch (error) {
+      console.error('Update notification preferences error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update notification preferences',
+        error: error.message
+      });
+    }
+  });
+
+// Mark one notification as read
+router.post('/:notificationId/read', authenticateToken, async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    const notification = mongoose.isValidObjectId(notificationId)
+      ? await Notification.findOne({ _id: notificationId, user: req.user._id })
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      notification: notification.toInboxItem()
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,34 +2,25 @@
 const express = require('express');
 const router = express.Router();
 const QRCode = require('qrcode');
-const crypto = require('crypto');
 const Class = require('../models/Class');
+const Session = require('../models/Session');
 const Attendance = require('../models/Attendance');
 const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
-
-// In-memory session storage (in production, use Redis or database)
-const activeSessions = new Map();
-
-// Helper function to calculate distance between two coordinates
-function calculateDistance(lat1, lng1, lat2, lng2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = lat1 * Math.PI / 180;
-  const φ2 = lat2 * Math.PI / 180;
-  const Δφ = (lat2 - lat1) * Math.PI / 180;
-  const Δλ = (lng2 - lng1) * Math.PI / 180;
-
-  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-          Math.cos(φ1) * Math.cos(φ2) *
-          Math.sin(Δλ/2) * Math.sin(Δλ/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-  return R * c; // Distance in meters
-}
-
-// Generate QR token and code
-async function generateQRCode(sessionId) {
-  const token = crypto.randomBytes(16).toString('hex');
+const { authenticateToken, authenticateStream, issueStreamToken, requireRole } = require('../middleware/auth');
+const { rateLimit, rejectIfLockedOut, recordInvalidToken, clearInvalidTokens } = require('../middleware/rateLimit');
+const { parseToken, ROTATION_SECONDS } = require('../utils/qrToken');
+const realtime = require('../utils/realtime');
+const geo = require('../utils/geo');
+const attendancePolicy = require('../utils/attendancePolicy');
+const { buildAttendanceSheet } = require('../utils/register');
+const { streamAttendanceSheet } = require('../utils/pdfReports');
+const { toCsv } = require('../utils/csv');
+const deviceCheck = require('../utils/deviceCheck');
+const { createOverrideHandler } = require('../utils/attendanceOverride');
+
+// Generate QR code for the session's current token
+async function generateQRCode(session) {
+  const { token, expiresAt, rotationPeriod } = session.getCurrentQRToken();
   const qrData = `${process.env.FRONTEND_URL}/join-session/${token}`;
   
   try {
@@ -42,20 +33,42 @@ async function generateQRCode(sessionId) {
       }
     });
     
-    return { token, qrCodeUrl, qrData };
+    return { token, qrCodeUrl, qrData, expiresAt, rotationPeriod };
   } catch (error) {
     throw new Error('Failed to generate QR code');
   }
 }
 
+// Find a session whose class the user can access with the given permission
+// (class staff, or an admin over the class when only viewing)
+async function findStaffSession(sessionId, user, permission = 'view', select) {
+  const query = Session.findById(sessionId);
+  const session = await (select ? query.select(select) : query);
+  if (!session) return null;
+
+  const hasAccess = await Class.exists({
+    _id: session.classId,
+    ...Class.accessFilter(user, permission)
+  });
+
+  return hasAccess ? session : null;
+}
+
 // Create new session
 router.post('/create', authenticateToken, async (req, res) => {
   try {
     const { classId, subjectId, duration, location } = req.body;
-    const teacherId = req.user.id;
+    const teacherId = req.user._id;
+
+    if (!classId || !subjectId || !(parseInt(duration) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Class ID, Subject ID and a positive duration are required'
+      });
+    }
 
-    // Validate class ownership
-    const classDoc = await Class.findOne({ _id: classId, teacherId });
+    // Validate the user can start sessions in this class
+    const classDoc = await Class.findOne({ _id: classId, ...Class.staffFilter(teacherId, 'start_lectures') });
     if (!classDoc) {
       return res.status(404).json({
         success: false,
@@ -72,34 +85,35 @@ router.post('/create', authenticateToken, async (req, res) => {
       });
     }
 
-    // Generate session ID and QR code
-    const sessionId = crypto.randomUUID();
-    const { token, qrCodeUrl } = await generateQRCode(sessionId);
-
-    // Create session object
-    const session = {
-      _id: sessionId,
+    const session = new Session({
       classId,
       subjectId,
       subjectName: subject.name,
       teacherId,
       duration: parseInt(duration),
       location,
-      qrToken: token,
-      qrCodeUrl,
       startTime: new Date(),
       endTime: new Date(Date.now() + duration * 60 * 1000),
       isActive: true,
       attendees: []
-    };
+    });
 
-    // Store in memory (in production, save to database)
-    activeSessions.set(sessionId, session);
+    await session.save();
+
+    const { token, qrCodeUrl, expiresAt, rotationPeriod } = await generateQRCode(session);
+    const sessionData = session.toObject();
+    delete sessionData.qrSecret;
 
     res.json({
       success: true,
       message: 'Session created successfully',
-      session
+      session: {
+        ...sessionData,
+        qrToken: token,
+        qrCodeUrl,
+        qrExpiresAt: expiresAt,
+        rotationPeriod
+      }
     });
 
   } catch (error) {
@@ -111,38 +125,35 @@ router.post('/create', authenticateToken, async (req, res) => {
   }
 });
 
-// Refresh QR token
+// Get the QR token for the current rotation window
 router.post('/:sessionId/refresh-token', authenticateToken, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const session = activeSessions.get(sessionId);
+    const session = await findStaffSession(sessionId, req.user, 'start_lectures', '+qrSecret');
 
-    if (!session || session.teacherId !== req.user.id) {
+    if (!session) {
       return res.status(404).json({
         success: false,
         message: 'Session not found or unauthorized'
       });
     }
 
-    if (!session.isActive || new Date() > session.endTime) {
+    if (!session.isLive()) {
       return res.status(400).json({
         success: false,
         message: 'Session has ended'
       });
     }
 
-    // Generate new QR code
-    const { token, qrCodeUrl } = await generateQRCode(sessionId);
-    
-    // Update session
-    session.qrToken = token;
-    session.qrCodeUrl = qrCodeUrl;
-    activeSessions.set(sessionId, session);
+    // Tokens rotate on their own; nothing to store
+    const { token, qrCodeUrl, expiresAt, rotationPeriod } = await generateQRCode(session);
 
     res.json({
       success: true,
       qrToken: token,
-      qrCodeUrl
+      qrCodeUrl,
+      qrExpiresAt: expiresAt,
+      rotationPeriod
     });
 
   } catch (error) {
@@ -155,22 +166,20 @@ router.post('/:sessionId/refresh-token', authenticateToken, async (req, res) =>
 });
 
 // Join session (for students)
-router.post('/join/:token', authenticateToken, async (req, res) => {
+router.post('/join/:token', authenticateToken, rateLimit('join'), rejectIfLockedOut, async (req, res) => {
   try {
     const { token } = req.params;
     const { location } = req.body;
-    const studentId = req.user.id;
-
-    // Find session by token
-    let targetSession = null;
-    for (const [sessionId, session] of activeSessions) {
-      if (session.qrToken === token && session.isActive) {
-        targetSession = session;
-        break;
-      }
-    }
+    const studentId = req.user._id;
+
+    // Find session named in the token and check its signature
+    const parsed = parseToken(token);
+    const targetSession = parsed
+      ? await Session.findOne({ _id: parsed.id, isActive: true }).select('+qrSecret')
+      : null;
 
-    if (!targetSession) {
+    if (!targetSession || !targetSession.verifyQRToken(token)) {
+      await recordInvalidToken(req);
       return res.status(404).json({
         success: false,
         message: 'Invalid or expired session token'
@@ -178,29 +187,58 @@ router.post('/join/:token', authenticateToken, async (req, res) => {
     }
 
     // Check if session is still active
-    if (new Date() > targetSession.endTime) {
-      targetSession.isActive = false;
+    if (!targetSession.isLive()) {
+      await targetSession.end();
       return res.status(400).json({
         success: false,
         message: 'Session has ended'
       });
     }
 
-    // Check location restrictions
-    if (targetSession.location.type === 'restricted' && location) {
-      const distance = calculateDistance(
-        targetSession.location.coordinates.lat,
-        targetSession.location.coordinates.lng,
-        location.lat,
-        location.lng
-      );
+    // Check if student is enrolled in this class
+    const classDoc = await Class.findById(targetSession.classId);
+    if (!classDoc || !classDoc.hasStudent(studentId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this class'
+      });
+    }
+
+    // Apply the class late/close policy
+    const joinedAt = new Date();
+    const join = attendancePolicy.classifyJoin(
+      attendancePolicy.resolvePolicy(classDoc),
+      targetSession.startTime,
+      joinedAt
+    );
+
+    if (join.closed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Attendance for this session is closed',
+        closedAt: join.closedAt
+      });
+    }
+
+    // Check location restrictions. Restricted sessions need a precise enough
+    // location inside the radius, the same as lecture joins.
+    const position = geo.parsePosition(location);
+    const { coordinates, radius } = targetSession.location || {};
+    let distance;
+
+    if (targetSession.location?.type === 'restricted') {
+      const check = geo.checkGeofence(coordinates && { lat: coordinates.lat, lng: coordinates.lng, radius }, position);
 
-      if (distance > targetSession.location.radius) {
+      if (!check.allowed) {
         return res.status(400).json({
           success: false,
-          message: `You must be within ${targetSession.location.radius}m of the session location`
+          message: check.reason,
+          distance: check.distance
         });
       }
+      distance = check.distance;
+    } else if (coordinates?.lat !== undefined && position) {
+      distance = Math.round(geo.calculateDistance(coordinates.lat, coordinates.lng, position.lat, position.lng));
     }
 
     // Check if already marked attendance
@@ -216,29 +254,68 @@ router.post('/join/:token', authenticateToken, async (req, res) => {
       });
     }
 
+    // Apply the class device policy
+    const deviceResult = await deviceCheck.checkJoin(req, classDoc, targetSession._id, position);
+    if (deviceResult.blocked) {
+      return res.status(403).json({
+        success: false,
+        message: deviceResult.blocked,
+        code: 'DEVICE_REJECTED'
+      });
+    }
+
     // Mark attendance
     const attendance = new Attendance({
       lectureId: targetSession._id,
       studentId,
-      timestamp: new Date()
+      classId: targetSession.classId,
+      subjectId: targetSession.subjectId,
+      sessionType: 'session',
+      status: join.status,
+      markedBy: 'qr_scan',
+      timestamp: joinedAt,
+      location: position ? { ...position, distance } : undefined,
+      device: deviceResult.device,
+      flags: deviceResult.flags
     });
 
     await attendance.save();
 
+    if (deviceResult.bind) {
+      await deviceCheck.bindDevice(req.user, deviceResult.device);
+    }
+
     // Add to session attendees
     const student = await User.findById(studentId).select('name email');
-    targetSession.attendees.push({
+    const attendee = {
       studentId,
       studentName: student.name,
       email: student.email,
-      timestamp: new Date()
+      status: attendance.status,
+      timestamp: attendance.timestamp
+    };
+    // Joins after the late cutoff are recorded but not listed as attending
+    if (join.status !== 'absent') {
+      await Session.updateOne(
+        { _id: targetSession._id, 'attendees.studentId': { $ne: studentId } },
+        { $push: { attendees: attendee } }
+      );
+    }
+
+    realtime.publish(realtime.channel('session', targetSession._id), 'attendance.marked', {
+      sessionId: targetSession._id,
+      attendee,
+      attendeeCount: targetSession.attendees.length + (join.status !== 'absent' ? 1 : 0)
     });
 
-    activeSessions.set(targetSession._id, targetSession);
+    await clearInvalidTokens(req);
 
     res.json({
       success: true,
-      message: 'Attendance marked successfully',
+      message: join.status === 'absent'
+        ? 'Joined after the late cutoff; recorded as absent'
+        : 'Attendance marked successfully',
+      status: join.status,
       session: {
         subjectName: targetSession.subjectName,
         duration: targetSession.duration
@@ -258,9 +335,9 @@ router.post('/join/:token', authenticateToken, async (req, res) => {
 router.get('/:sessionId/attendance', authenticateToken, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const session = activeSessions.get(sessionId);
+    const session = await findStaffSession(sessionId, req.user);
 
-    if (!session || session.teacherId !== req.user.id) {
+    if (!session) {
       return res.status(404).json({
         success: false,
         message: 'Session not found or unauthorized'
@@ -281,14 +358,131 @@ router.get('/:sessionId/attendance', authenticateToken, async (req, res) => {
   }
 });
 
+// List suspicious joins for a session: flagged records, shared devices and
+// identical coordinates
+router.get('/:sessionId/flags', authenticateToken, async (req, res) => {
+  try {
+    const session = await findStaffSession(req.params.sessionId, req.user);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found or unauthorized'
+      });
+    }
+
+    const report = await Attendance.getFlagReport({ lectureId: session._id });
+
+    res.json({
+      success: true,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Get session flags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get flagged attendance'
+    });
+  }
+});
+
+// Mark, unmark or change a student's attendance status (teacher override).
+// DELETE records the student as absent and keeps the audit trail.
+const overrideAttendance = createOverrideHandler(async (req) => {
+  const session = await findStaffSession(req.params.sessionId, req.user, 'edit_attendance');
+  if (!session) {
+    return { error: { status: 404, message: 'Session not found or unauthorized' } };
+  }
+
+  return {
+    label: 'session',
+    record: {
+      lectureId: session._id,
+      classId: session.classId,
+      subjectId: session.subjectId,
+      sessionType: 'session'
+    },
+    isEnrolled: (studentId) => Class.exists({ _id: session.classId, students: studentId }),
+    afterChange: async (attendance) => {
+      await session.syncAttendee(attendance);
+
+      realtime.publish(realtime.channel('session', session._id), 'attendance.marked', {
+        sessionId: session._id,
+        attendee: { studentId: attendance.studentId, status: attendance.status },
+        markedBy: 'teacher'
+      });
+    }
+  };
+});
+
+router.route('/:sessionId/attendance/:studentId')
+  .put(authenticateToken, requireRole(['teacher']), (req, res) => overrideAttendance(req, res, req.body.status))
+  .delete(authenticateToken, requireRole(['teacher']), (req, res) => overrideAttendance(req, res, 'absent'));
+
+// Short-lived token for opening the event stream with EventSource
+router.post('/:sessionId/events/token', authenticateToken, issueStreamToken);
+
+// Live event stream for the teacher dashboard (attendance.marked, qr.rotated, session.ended)
+router.get('/:sessionId/events', authenticateStream, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await findStaffSession(sessionId, req.user, 'start_lectures', '+qrSecret');
+
+    if (!session || !session.isLive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active session not found or unauthorized'
+      });
+    }
+
+    const stream = realtime.openStream(req, res, realtime.channel('session', session._id));
+
+    const sendQR = async () => {
+      // Sessions run out on their own; tell the dashboard once the end time passes
+      if (new Date() > session.endTime) {
+        stream.send('session.ended', {
+          sessionId: session._id,
+          endTime: session.endTime
+        });
+        return stream.close();
+      }
+
+      try {
+        const { token, qrCodeUrl, expiresAt, rotationPeriod } = await generateQRCode(session);
+        stream.send('qr.rotated', {
+          qrToken: token,
+          qrCodeUrl,
+          qrExpiresAt: expiresAt,
+          rotationPeriod
+        });
+      } catch (error) {
+        console.error('Session stream QR error:', error);
+      }
+    };
+
+    await sendQR();
+    stream.onClose(realtime.everyWindow(ROTATION_SECONDS, sendQR));
+
+  } catch (error) {
+    console.error('Session stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to open session stream'
+      });
+    }
+  }
+});
+
 // Export session report
 router.get('/:sessionId/export', authenticateToken, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { format = 'csv' } = req.query;
-    const session = activeSessions.get(sessionId);
+    const session = await findStaffSession(sessionId, req.user);
 
-    if (!session || session.teacherId !== req.user.id) {
+    if (!session) {
       return res.status(404).json({
         success: false,
         message: 'Session not found or unauthorized'
@@ -299,21 +493,31 @@ router.get('/:sessionId/export', authenticateToken, async (req, res) => {
 
     if (format === 'csv') {
       // Generate CSV
-      let csv = 'Name,Email,Timestamp\n';
-      attendees.forEach(attendee => {
-        csv += `"${attendee.studentName}","${attendee.email}","${attendee.timestamp.toISOString()}"\n`;
-      });
+      const csv = toCsv([
+        ['Name', 'Email', 'Status', 'Timestamp'],
+        ...attendees.map(attendee => [
+          attendee.studentName,
+          attendee.email,
+          attendee.status || 'present',
+          attendee.timestamp
+        ])
+      ]);
 
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', `attachment; filename="session-${sessionId}.csv"`);
       res.send(csv);
 
     } else if (format === 'pdf') {
-      // PDF generation placeholder
-      res.status(501).json({
-        success: false,
-        message: 'PDF export coming soon'
-      });
+      const classDoc = await Class.findById(session.classId);
+      if (!classDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'Class not found'
+        });
+      }
+
+      const sheet = await buildAttendanceSheet(classDoc, session, 'session');
+      streamAttendanceSheet(sheet, res, `session-${sessionId}.pdf`);
     } else {
       res.status(400).json({
         success: false,
@@ -330,25 +534,33 @@ router.get('/:sessionId/export', authenticateToken, async (req, res) => {
   }
 });
 
-// List active sessions for teacher
+// List sessions in the classes the user teaches or assists
 router.get('/my-sessions', authenticateToken, async (req, res) => {
   try {
-    const teacherId = req.user.id;
-    const sessions = [];
-
-    for (const [sessionId, session] of activeSessions) {
-      if (session.teacherId === teacherId) {
-        sessions.push({
-          _id: sessionId,
-          subjectName: session.subjectName,
-          startTime: session.startTime,
-          endTime: session.endTime,
-          isActive: session.isActive && new Date() <= session.endTime,
-          attendeeCount: session.attendees.length
-        });
-      }
+    const { active, limit = 50 } = req.query;
+    const classIds = await Class.find(Class.staffFilter(req.user._id)).distinct('_id');
+    const filter = { classId: { $in: classIds } };
+
+    if (active === 'true') {
+      filter.isActive = true;
+      filter.endTime = { $gte: new Date() };
     }
 
+    const docs = await Session.find(filter)
+      .sort({ startTime: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    const sessions = docs.map(session => ({
+      _id: session._id,
+      classId: session.classId,
+      subjectId: session.subjectId,
+      subjectName: session.subjectName,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      isActive: session.isLive(),
+      attendeeCount: session.attendees.length
+    }));
+
     res.json({
       success: true,
       sessions
@@ -367,18 +579,29 @@ router.get('/my-sessions', authenticateToken, async (req, res) => {
 router.post('/:sessionId/end', authenticateToken, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const session = activeSessions.get(sessionId);
+    const session = await findStaffSession(sessionId, req.user, 'start_lectures');
 
-    if (!session || session.teacherId !== req.user.id) {
+    if (!session) {
       return res.status(404).json({
         success: false,
         message: 'Session not found or unauthorized'
       });
     }
 
-    session.isActive = false;
-    session.endTime = new Date();
-    activeSessions.set(sessionId, session);
+    if (session.rosterSnapshotAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session has already ended'
+      });
+    }
+
+    await session.end();
+
+    realtime.publish(realtime.channel('session', session._id), 'session.ended', {
+      sessionId: session._id,
+      endTime: session.endTime,
+      attendeeCount: session.attendees.length
+    });
 
     res.json({
       success: true,
@@ -394,19 +617,4 @@ router.post('/:sessionId/end', authenticateToken, async (req, res) => {
   }
 });
 
-// Cleanup expired sessions (called periodically)
-function cleanupExpiredSessions() {
-  const now = new Date();
-  for (const [sessionId, session] of activeSessions) {
-    if (now > session.endTime) {
-      session.isActive = false;
-      // Could move to archived sessions or remove completely
-      activeSessions.delete(sessionId);
-    }
-  }
-}
-
-// Run cleanup every 5 minutes
-setInterval(cleanupExpiredSessions, 5 * 60 * 1000);
-
 module.exports = router;
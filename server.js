@@ -10,6 +10,11 @@ const authRoutes = require('./routes/auth');
 const classRoutes = require('./routes/classes');
 const lectureRoutes = require('./routes/lectures');
 const sessionRoutes = require('./routes/sessions');
+const adminRoutes = require('./routes/admin');
+const meRoutes = require('./routes/me');
+const notificationRoutes = require('./routes/notifications');
+const leaveRequestRoutes = require('./routes/leaveRequests');
+const disputeRoutes = require('./routes/disputes');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -37,9 +42,16 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-Id'],
+  exposedHeaders: ['Retry-After']
 }));
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For (rate limits
+// key on it). Set TRUST_PROXY to the number of proxy hops, e.g. 1.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -91,6 +103,11 @@ app.get('/api', (req, res) => {
       classes: '/api/classes',
       lectures: '/api/lectures',
       sessions: '/api/sessions',
+      admin: '/api/admin',
+      me: '/api/me',
+      notifications: '/api/notifications',
+      leaveRequests: '/api/leave-requests',
+      disputes: '/api/disputes',
       health: '/api'
     },
     timestamp: new Date().toISOString()
@@ -102,6 +119,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/classes', classRoutes);
 app.use('/api/lectures', lectureRoutes);
 app.use('/api/sessions', sessionRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/leave-requests', leaveRequestRoutes);
+app.use('/api/disputes', disputeRoutes);
 
 // Join session route (for QR code scanning)
 app.get('/join-session/:qrToken', (req, res) => {
@@ -137,7 +159,7 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Cleanup expired lectures every hour
+// Drop QR secrets of finished lectures every hour
 setInterval(async () => {
   try {
     const Lecture = require('./models/Lecture');
@@ -147,6 +169,50 @@ setInterval(async () => {
   }
 }, 60 * 60 * 1000); // 1 hour
 
+// Auto-start due scheduled lectures and auto-end lectures that ran past
+// their duration every minute
+setInterval(async () => {
+  try {
+    const Lecture = require('./models/Lecture');
+    const realtime = require('./utils/realtime');
+    const ended = await Lecture.autoEndExpired();
+    const started = await Lecture.autoStartDue();
+
+    if (started.length > 0) {
+      console.log(`Auto-started ${started.length} scheduled lecture(s)`);
+    }
+
+    ended.forEach(lecture => {
+      realtime.publish(realtime.channel('lecture', lecture._id), 'session.ended', {
+        lectureId: lecture._id,
+        status: lecture.status,
+        endTime: lecture.endTime
+      });
+    });
+  } catch (error) {
+    console.error('Error updating lecture lifecycle:', error);
+  }
+}, 60 * 1000); // 1 minute
+
+// End sessions past their end time every 5 minutes
+setInterval(async () => {
+  try {
+    const Session = require('./models/Session');
+    const realtime = require('./utils/realtime');
+    const ended = await Session.closeExpired();
+
+    ended.forEach(session => {
+      realtime.publish(realtime.channel('session', session._id), 'session.ended', {
+        sessionId: session._id,
+        endTime: session.endTime,
+        attendeeCount: session.attendees.length
+      });
+    });
+  } catch (error) {
+    console.error('Error closing expired sessions:', error);
+  }
+}, 5 * 60 * 1000); // 5 minutes
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🔄 Shutting down gracefully...');
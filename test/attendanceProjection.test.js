@@ -0,0 +1,41 @@
+const Attendance = require('../models/Attendance');
+
+function counts({ present = 0, late = 0, excused = 0, absent = 0 } = {}) {
+  return { total: present + late + excused + absent, present, late, excused, absent };
+}
+
+describe('Attendance.projectTarget', () => {
+  test('counts the lectures needed in a row to reach the target', () => {
+    expect(Attendance.projectTarget(counts({ present: 6, absent: 4 }), 75))
+      .toEqual({ target: 75, needed: 6, canMiss: 0 });
+  });
+
+  test('counts the lectures that can be missed above the target', () => {
+    expect(Attendance.projectTarget(counts({ present: 9, absent: 1 }), 75))
+      .toEqual({ target: 75, needed: 0, canMiss: 2 });
+  });
+
+  test('treats exactly on target as reached with nothing to spare', () => {
+    expect(Attendance.projectTarget(counts({ present: 3, absent: 1 }), 75))
+      .toEqual({ target: 75, needed: 0, canMiss: 0 });
+  });
+
+  test('gives late marks partial credit and leaves excused lectures out', () => {
+    expect(Attendance.projectTarget(counts({ present: 6, late: 2, absent: 2 }), 75, 0.5))
+      .toEqual({ target: 75, needed: 2, canMiss: 0 });
+    expect(Attendance.projectTarget(counts({ present: 6, excused: 2, absent: 2 }), 75))
+      .toEqual({ target: 75, needed: 0, canMiss: 0 });
+  });
+
+  test('returns null when the target is out of reach or meaningless', () => {
+    expect(Attendance.projectTarget(counts({ present: 3, absent: 1 }), 100))
+      .toEqual({ target: 100, needed: null, canMiss: 0 });
+    expect(Attendance.projectTarget(counts({ present: 3, absent: 1 }), 0))
+      .toEqual({ target: 0, needed: 0, canMiss: null });
+  });
+
+  test('needs nothing before any lecture has been held', () => {
+    expect(Attendance.projectTarget(counts(), 75))
+      .toEqual({ target: 75, needed: 0, canMiss: 0 });
+  });
+});
@@ -0,0 +1,49 @@
+const { escapeCsvValue, toCsv, parseCsv } = require('../utils/csv');
+
+describe('csv', () => {
+  test('escapeCsvValue quotes separators, quotes and padded values', () => {
+    expect(escapeCsvValue('plain')).toBe('plain');
+    expect(escapeCsvValue('a,b')).toBe('"a,b"');
+    expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvValue('two\nlines')).toBe('"two\nlines"');
+    expect(escapeCsvValue(' padded ')).toBe('" padded "');
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue(undefined)).toBe('');
+    expect(escapeCsvValue(new Date('2026-01-02T03:04:05Z'))).toBe('2026-01-02T03:04:05.000Z');
+  });
+
+  test('escapeCsvValue neutralises spreadsheet formulas but not negative numbers', () => {
+    expect(escapeCsvValue('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(escapeCsvValue('+1')).toBe("'+1");
+    expect(escapeCsvValue('@cmd')).toBe("'@cmd");
+    expect(escapeCsvValue('-2,3')).toBe(`"'-2,3"`);
+    expect(escapeCsvValue(-5)).toBe('-5');
+  });
+
+  test('toCsv joins rows with CRLF', () => {
+    expect(toCsv([['Name', 'Email'], ['Ann, B', 'ann@example.com']]))
+      .toBe('Name,Email\r\n"Ann, B",ann@example.com\r\n');
+  });
+
+  test('parseCsv handles quoting, escaped quotes and any line ending', () => {
+    const text = '\uFEFFname,email\r\n"Doe, Jane","j""d@example.com"\nBob,"multi\nline"\rlast,row';
+
+    expect(parseCsv(text)).toEqual([
+      ['name', 'email'],
+      ['Doe, Jane', 'j"d@example.com'],
+      ['Bob', 'multi\nline'],
+      ['last', 'row']
+    ]);
+  });
+
+  test('parseCsv drops blank lines and keeps empty fields', () => {
+    expect(parseCsv('a,,c\n\n , \n')).toEqual([['a', '', 'c']]);
+    expect(parseCsv('')).toEqual([]);
+  });
+
+  test('parseCsv reads back what toCsv writes', () => {
+    const rows = [['id', 'note'], ['1', 'has "quotes", commas\nand newlines']];
+
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+});
@@ -0,0 +1,53 @@
+const qrToken = require('../utils/qrToken');
+
+const SECRET = 'a'.repeat(64);
+const PERIOD = 10;
+const NOW = 1700000000000;
+
+describe('qrToken', () => {
+  test('signToken produces a token that verifies in the same window', () => {
+    const { token, expiresAt, rotationPeriod } = qrToken.signToken('lecture1', SECRET, { now: NOW, period: PERIOD });
+
+    expect(token.startsWith('lecture1.')).toBe(true);
+    expect(rotationPeriod).toBe(PERIOD);
+    expect(expiresAt.getTime()).toBeGreaterThan(NOW);
+    expect(qrToken.verifyToken(token, 'lecture1', SECRET, { now: NOW, period: PERIOD })).toBe(true);
+  });
+
+  test('accepts neighbouring windows within the skew and rejects beyond it', () => {
+    const { token } = qrToken.signToken('lecture1', SECRET, { now: NOW, period: PERIOD });
+    const step = PERIOD * 1000;
+
+    expect(qrToken.verifyToken(token, 'lecture1', SECRET, { now: NOW + step, period: PERIOD, skew: 1 })).toBe(true);
+    expect(qrToken.verifyToken(token, 'lecture1', SECRET, { now: NOW - step, period: PERIOD, skew: 1 })).toBe(true);
+    expect(qrToken.verifyToken(token, 'lecture1', SECRET, { now: NOW + 2 * step, period: PERIOD, skew: 1 })).toBe(false);
+    expect(qrToken.verifyToken(token, 'lecture1', SECRET, { now: NOW + step, period: PERIOD, skew: 0 })).toBe(false);
+  });
+
+  test('rejects tokens for another id or secret', () => {
+    const { token } = qrToken.signToken('lecture1', SECRET, { now: NOW, period: PERIOD });
+
+    expect(qrToken.verifyToken(token, 'lecture2', SECRET, { now: NOW, period: PERIOD })).toBe(false);
+    expect(qrToken.verifyToken(token, 'lecture1', 'b'.repeat(64), { now: NOW, period: PERIOD })).toBe(false);
+    expect(qrToken.verifyToken(token, 'lecture1', null, { now: NOW, period: PERIOD })).toBe(false);
+  });
+
+  test('rejects malformed tokens without throwing', () => {
+    const multibyte = `lecture1.${'é'}${'a'.repeat(21)}`;
+
+    expect(() => qrToken.verifyToken(multibyte, 'lecture1', SECRET)).not.toThrow();
+    expect(qrToken.verifyToken(multibyte, 'lecture1', SECRET)).toBe(false);
+    expect(qrToken.verifyToken('lecture1', 'lecture1', SECRET)).toBe(false);
+    expect(qrToken.verifyToken('lecture1.short', 'lecture1', SECRET)).toBe(false);
+    expect(qrToken.verifyToken(undefined, 'lecture1', SECRET)).toBe(false);
+  });
+
+  test('parseToken splits valid tokens and rejects non-base64url codes', () => {
+    const code = 'A'.repeat(22);
+
+    expect(qrToken.parseToken(`abc.${code}`)).toEqual({ id: 'abc', code });
+    expect(qrToken.parseToken(`abc.${code}.extra`)).toBeNull();
+    expect(qrToken.parseToken(`abc.${'+'.repeat(22)}`)).toBeNull();
+    expect(qrToken.parseToken(42)).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const rateLimitStore = require('../utils/rateLimitStore');
+
+const NOW = new Date('2026-01-01T00:00:00Z').getTime();
+const LIMIT = { interval: 1000, burst: 2 };
+const LOCKOUT = { windowMs: 60 * 1000, maxFailures: 3, lockoutMs: 5 * 60 * 1000 };
+
+describe('rateLimitStore (memory)', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('allows the burst on top of the first request, then reports the wait', async () => {
+    for (let i = 0; i <= LIMIT.burst; i++) {
+      await expect(rateLimitStore.consume('burst', LIMIT)).resolves.toEqual({ allowed: true, retryAfterMs: 0 });
+    }
+
+    await expect(rateLimitStore.consume('burst', LIMIT)).resolves.toEqual({ allowed: false, retryAfterMs: 1000 });
+
+    jest.setSystemTime(NOW + 400);
+    await expect(rateLimitStore.consume('burst', LIMIT)).resolves.toEqual({ allowed: false, retryAfterMs: 600 });
+  });
+
+  test('refills one request per interval', async () => {
+    for (let i = 0; i <= LIMIT.burst; i++) {
+      await rateLimitStore.consume('refill', LIMIT);
+    }
+
+    jest.setSystemTime(NOW + 1000);
+    await expect(rateLimitStore.consume('refill', LIMIT)).resolves.toMatchObject({ allowed: true });
+    await expect(rateLimitStore.consume('refill', LIMIT)).resolves.toMatchObject({ allowed: false });
+  });
+
+  test('keeps separate counters per key', async () => {
+    for (let i = 0; i <= LIMIT.burst; i++) {
+      await rateLimitStore.consume('key-a', LIMIT);
+    }
+
+    await expect(rateLimitStore.consume('key-a', LIMIT)).resolves.toMatchObject({ allowed: false });
+    await expect(rateLimitStore.consume('key-b', LIMIT)).resolves.toMatchObject({ allowed: true });
+  });
+
+  test('locks a key out after too many failures in the window', async () => {
+    await expect(rateLimitStore.recordFailure('lock', LOCKOUT)).resolves.toEqual({ failures: 1, lockedUntil: null });
+    await rateLimitStore.recordFailure('lock', LOCKOUT);
+    await expect(rateLimitStore.getLock('lock')).resolves.toBeNull();
+
+    const lockedUntil = new Date(NOW + LOCKOUT.lockoutMs);
+    await expect(rateLimitStore.recordFailure('lock', LOCKOUT)).resolves.toEqual({ failures: 3, lockedUntil });
+    await expect(rateLimitStore.getLock('lock')).resolves.toEqual(lockedUntil);
+
+    jest.setSystemTime(lockedUntil.getTime());
+    await expect(rateLimitStore.getLock('lock')).resolves.toBeNull();
+  });
+
+  test('starts counting failures again once the window has passed', async () => {
+    await rateLimitStore.recordFailure('window', LOCKOUT);
+    await rateLimitStore.recordFailure('window', LOCKOUT);
+
+    jest.setSystemTime(NOW + LOCKOUT.windowMs);
+    await expect(rateLimitStore.recordFailure('window', LOCKOUT)).resolves.toEqual({ failures: 1, lockedUntil: null });
+  });
+
+  test('clearFailures lifts a lockout and resets the count', async () => {
+    for (let i = 0; i < LOCKOUT.maxFailures; i++) {
+      await rateLimitStore.recordFailure('clear', LOCKOUT);
+    }
+    await expect(rateLimitStore.getLock('clear')).resolves.not.toBeNull();
+
+    await rateLimitStore.clearFailures('clear');
+    await expect(rateLimitStore.getLock('clear')).resolves.toBeNull();
+    await expect(rateLimitStore.recordFailure('clear', LOCKOUT)).resolves.toEqual({ failures: 1, lockedUntil: null });
+  });
+});
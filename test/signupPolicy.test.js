@@ -0,0 +1,138 @@
+jest.mock('../models/Organization', () => ({
+  findForEmail: jest.fn(),
+  exists: jest.fn()
+}));
+
+const POLICY_ENV = ['ALLOWED_EMAIL_DOMAINS', 'ROLE_RULES', 'GOOGLE_REQUIRE_HD'];
+
+// signupPolicy reads its configuration when loaded, so load a fresh copy
+// (with its own Organization mock) for each environment
+function loadPolicy(env = {}) {
+  const saved = {};
+  for (const name of POLICY_ENV) {
+    saved[name] = process.env[name];
+    if (env[name] === undefined) delete process.env[name];
+    else process.env[name] = env[name];
+  }
+
+  let modules;
+  jest.isolateModules(() => {
+    modules = {
+      policy: require('../utils/signupPolicy'),
+      Organization: require('../models/Organization')
+    };
+  });
+
+  for (const name of POLICY_ENV) {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }
+
+  modules.Organization.findForEmail.mockResolvedValue(null);
+  modules.Organization.exists.mockResolvedValue(null);
+  return modules;
+}
+
+const ROLE_RULES = JSON.stringify([
+  { pattern: '^\\d+@school\\.edu$', role: 'student' },
+  { pattern: '@faculty\\.school\\.edu$', role: 'teacher' }
+]);
+
+describe('signupPolicy.checkSignIn', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects unverified emails', async () => {
+    const { policy } = loadPolicy();
+
+    await expect(policy.checkSignIn({ email: 'a@gmail.com', email_verified: false }))
+      .resolves.toEqual({ allowed: false, reason: 'Google account email is not verified' });
+  });
+
+  test('allows any verified account when nothing is configured', async () => {
+    const { policy } = loadPolicy();
+
+    await expect(policy.checkSignIn({ email: 'a@gmail.com', email_verified: true }))
+      .resolves.toEqual({ allowed: true, organization: null });
+  });
+
+  test('limits sign-in to allowed domains and requires the hosted domain', async () => {
+    const { policy } = loadPolicy({ ALLOWED_EMAIL_DOMAINS: 'School.edu, other.edu' });
+
+    await expect(policy.checkSignIn({ email: 'a@gmail.com', email_verified: true }))
+      .resolves.toMatchObject({ allowed: false });
+    await expect(policy.checkSignIn({ email: 'a@school.edu', email_verified: true }))
+      .resolves.toEqual({ allowed: false, reason: 'Sign in with your school.edu Google Workspace account' });
+    await expect(policy.checkSignIn({ email: 'a@school.edu', email_verified: true, hd: 'school.edu' }))
+      .resolves.toEqual({ allowed: true, organization: null });
+  });
+
+  test('skips the hosted domain check when GOOGLE_REQUIRE_HD is false', async () => {
+    const { policy } = loadPolicy({ ALLOWED_EMAIL_DOMAINS: 'school.edu', GOOGLE_REQUIRE_HD: 'false' });
+
+    await expect(policy.checkSignIn({ email: 'a@school.edu', email_verified: true }))
+      .resolves.toEqual({ allowed: true, organization: null });
+  });
+
+  test('admits members of an organization and restricts everyone else', async () => {
+    const { policy, Organization } = loadPolicy();
+    const organization = { code: 'SCH', domains: ['school.edu'] };
+    Organization.findForEmail.mockImplementation(async (email) =>
+      email.endsWith('@school.edu') ? organization : null);
+    Organization.exists.mockResolvedValue({ _id: 'org1' });
+
+    await expect(policy.checkSignIn({ email: 'a@school.edu', email_verified: true, hd: 'school.edu' }))
+      .resolves.toEqual({ allowed: true, organization });
+    await expect(policy.checkSignIn({ email: 'a@gmail.com', email_verified: true }))
+      .resolves.toEqual({ allowed: false, reason: 'Sign-in is limited to accounts from participating institutions' });
+  });
+});
+
+describe('signupPolicy.mapRole', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('maps emails with the global ROLE_RULES', () => {
+    const { policy } = loadPolicy({ ROLE_RULES });
+
+    expect(policy.mapRole('12345@school.edu')).toBe('student');
+    expect(policy.mapRole('Jane@FACULTY.school.edu')).toBe('teacher');
+    expect(policy.mapRole('jane@school.edu')).toBeNull();
+  });
+
+  test('checks organization rules before the global ones', () => {
+    const { policy } = loadPolicy({ ROLE_RULES });
+    const organization = { roleRules: [{ pattern: '^12345@', role: 'teacher' }] };
+
+    expect(policy.mapRole('12345@school.edu', organization)).toBe('teacher');
+    expect(policy.mapRole('67890@school.edu', organization)).toBe('student');
+  });
+
+  test('ignores invalid ROLE_RULES', () => {
+    const { policy } = loadPolicy({ ROLE_RULES: '[{"pattern":"(","role":"teacher"}]' });
+
+    expect(policy.mapRole('a@school.edu')).toBeNull();
+    expect(console.error).toHaveBeenCalledWith('Ignoring invalid ROLE_RULES:', expect.any(String));
+  });
+});
+
+describe('signupPolicy.validateRoleRules', () => {
+  test('reports the first problem or null', () => {
+    const { policy } = loadPolicy();
+
+    expect(policy.validateRoleRules([{ pattern: '@school\\.edu$', role: 'student' }])).toBeNull();
+    expect(policy.validateRoleRules({})).toBe('Role rules must be a list');
+    expect(policy.validateRoleRules([{ pattern: '@x', role: 'admin' }])).toMatch(/^Rule role must be one of/);
+    expect(policy.validateRoleRules([{ pattern: '', role: 'student' }])).toMatch(/^Each rule needs a pattern/);
+  });
+});
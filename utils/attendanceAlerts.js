@@ -0,0 +1,207 @@
+// utils/attendanceAlerts.js - Low-attendance rules for students
+//
+// Each class sets one or more thresholds (percent). When a student's rate
+// in the class, or in one of its subjects, drops below a threshold they get
+// a notification, once. The alert stays open until the rate is back at or
+// above the threshold, after which a later drop alerts again.
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { notify } = require('./notifications');
+
+const DEFAULT_THRESHOLD = parseFloat(process.env.ATTENDANCE_TARGET) || 75;
+
+const DEFAULT_ALERT_SETTINGS = {
+  enabled: true,
+  thresholds: [DEFAULT_THRESHOLD],
+  perSubject: true,
+  minLectures: 3, // Held lectures a student must have before alerts start
+  notifyTeacher: false
+};
+
+const MAX_THRESHOLDS = 5;
+
+// Effective settings: defaults, then the class settings
+function resolveAlertSettings(classDoc) {
+  const settings = { ...DEFAULT_ALERT_SETTINGS };
+  const layer = classDoc?.attendanceAlerts;
+
+  if (layer) {
+    Object.keys(DEFAULT_ALERT_SETTINGS).forEach(key => {
+      if (layer[key] !== undefined && layer[key] !== null) settings[key] = layer[key];
+    });
+  }
+
+  settings.thresholds = [...settings.thresholds].sort((a, b) => b - a);
+  return settings;
+}
+
+// Validate alert settings from a request. Returns an error message or null.
+function validateAlertSettings(input) {
+  const { thresholds, minLectures } = input;
+
+  if (thresholds !== undefined) {
+    if (!Array.isArray(thresholds) || thresholds.length === 0 || thresholds.length > MAX_THRESHOLDS) {
+      return `thresholds must be a list of 1 to ${MAX_THRESHOLDS} percentages`;
+    }
+    if (thresholds.some(t => typeof t !== 'number' || !(t > 0 && t <= 100))) {
+      return 'Each threshold must be a percentage between 0 and 100';
+    }
+  }
+
+  if (minLectures !== undefined && !(Number.isInteger(minLectures) && minLectures >= 0)) {
+    return 'minLectures must be a whole number of 0 or more';
+  }
+
+  return null;
+}
+
+// Pick the alert setting fields present in a request body
+function pickAlertSettings(input) {
+  const settings = {};
+  Object.keys(DEFAULT_ALERT_SETTINGS).forEach(key => {
+    if (input[key] !== undefined) settings[key] = input[key];
+  });
+  if (settings.thresholds) settings.thresholds = [...new Set(settings.thresholds)];
+  return settings;
+}
+
+function alertKey(classId, subjectId, threshold) {
+  return `low_attendance:${classId}:${subjectId || '*'}:${threshold}`;
+}
+
+// Check students of a class (all of them when studentIds is omitted) against
+// its thresholds, opening and resolving alerts. Returns the number of alerts sent.
+async function checkClass(classId, { studentIds } = {}) {
+  const Class = mongoose.model('Class');
+  const Attendance = mongoose.model('Attendance');
+
+  const classDoc = await Class.findById(classId).select('name teacher subjects isActive attendanceAlerts');
+  if (!classDoc || !classDoc.isActive) return 0;
+
+  const settings = resolveAlertSettings(classDoc);
+  if (!settings.enabled) return 0;
+
+  const stats = await Attendance.getStats(classDoc._id);
+  if (!stats) return 0;
+
+  const only = studentIds && new Set(studentIds.map(id => id.toString()));
+  const rows = stats.students.filter(row => !only || only.has(row.student.id.toString()));
+
+  const open = await Notification.find({
+    classId: classDoc._id,
+    type: 'low_attendance',
+    resolvedAt: null,
+    user: { $in: rows.map(row => row.student.id) }
+  }).select('user key');
+  const openKeys = new Set(open.map(n => `${n.user}|${n.key}`));
+
+  const toResolve = [];
+  let sent = 0;
+
+  for (const row of rows) {
+    const scopes = [{ subjectId: null, subjectName: null, counts: row }];
+    if (settings.perSubject) {
+      row.subjects.forEach(subject => scopes.push({ subjectId: subject.subjectId, subjectName: subject.subjectName, counts: subject }));
+    }
+
+    for (const scope of scopes) {
+      const counted = scope.counts.total - scope.counts.excused;
+
+      for (const threshold of settings.thresholds) {
+        const key = alertKey(classDoc._id, scope.subjectId, threshold);
+        const isOpen = openKeys.has(`${row.student.id}|${key}`);
+        const below = counted >= settings.minLectures && scope.counts.attendanceRate < threshold;
+
+        if (below && !isOpen) {
+          await sendAlert(classDoc, row, scope, threshold, stats.lateCredit, settings);
+          sent++;
+        } else if (!below && isOpen) {
+          toResolve.push({ user: row.student.id, key });
+        }
+      }
+    }
+  }
+
+  if (toResolve.length > 0) {
+    await Notification.updateMany(
+      { type: 'low_attendance', resolvedAt: null, $or: toResolve },
+      { resolvedAt: new Date() }
+    );
+  }
+
+  return sent;
+}
+
+async function sendAlert(classDoc, row, scope, threshold, lateCredit, settings) {
+  const Attendance = mongoose.model('Attendance');
+  const { needed } = Attendance.projectTarget(scope.counts, threshold, lateCredit);
+  const where = scope.subjectName ? `${scope.subjectName} (${classDoc.name})` : classDoc.name;
+  const rate = scope.counts.attendanceRate;
+
+  const data = {
+    subjectId: scope.subjectId,
+    threshold,
+    attendanceRate: rate,
+    needed
+  };
+
+  await notify(row.student.id, {
+    type: 'low_attendance',
+    title: `Attendance below ${threshold}% in ${where}`,
+    message: `Your attendance in ${where} is ${rate}%, below the required ${threshold}%. ` +
+      (needed === null
+        ? 'Please talk to your teacher.'
+        : `Attend the next ${needed} ${needed === 1 ? 'lecture' : 'lectures'} to get back to ${threshold}%.`),
+    classId: classDoc._id,
+    data,
+    key: alertKey(classDoc._id, scope.subjectId, threshold)
+  });
+
+  if (settings.notifyTeacher) {
+    await notify(classDoc.teacher, {
+      type: 'low_attendance_staff',
+      title: `${row.student.name} is below ${threshold}% in ${where}`,
+      message: `${row.student.name} (${row.student.email}) has ${rate}% attendance in ${where}, below the required ${threshold}%.`,
+      classId: classDoc._id,
+      data: { ...data, studentId: row.student.id }
+    });
+  }
+
+  console.log(`Low attendance alert: ${row.student.email} at ${rate}% in ${where} (threshold ${threshold}%)`);
+}
+
+// Queue a check for after the current request; checks for the same class
+// queued together run once. Errors are logged, never thrown.
+const pending = new Map();
+
+function scheduleCheck(classId, studentIds) {
+  if (!classId) return;
+  const key = classId.toString();
+
+  if (!pending.has(key)) {
+    pending.set(key, new Set());
+    setImmediate(() => {
+      const queued = pending.get(key);
+      pending.delete(key);
+      checkClass(key, { studentIds: queued && [...queued] })
+        .catch(error => console.error('Attendance alert check error:', error));
+    });
+  }
+
+  // null means every student in the class
+  const queued = pending.get(key);
+  if (!studentIds) {
+    pending.set(key, null);
+  } else if (queued) {
+    studentIds.forEach(id => queued.add(id.toString()));
+  }
+}
+
+module.exports = {
+  DEFAULT_ALERT_SETTINGS,
+  resolveAlertSettings,
+  validateAlertSettings,
+  pickAlertSettings,
+  checkClass,
+  scheduleCheck
+};
@@ -0,0 +1,91 @@
+// utils/attendanceOverride.js - Teacher override of a student's lecture/session attendance
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+
+// Build the override handler for one kind of target. `resolveTarget(req)`
+// returns { error: { status, message } } when the lecture/session can't be
+// edited, otherwise:
+//   label       - 'lecture' or 'session', used in the log line
+//   record      - { lectureId, classId, subjectId, sessionType } for setStatus
+//   isEnrolled  - async (studentId) => whether the student is on the roster
+//   afterChange - async (attendance) => sync counters and publish the update
+// The returned handler is called as handler(req, res, status).
+function createOverrideHandler(resolveTarget) {
+  return async function overrideAttendance(req, res, status) {
+    try {
+      const { studentId } = req.params;
+      const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+      if (!mongoose.isValidObjectId(studentId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid student ID'
+        });
+      }
+
+      if (!Attendance.STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${Attendance.STATUSES.join(', ')}`
+        });
+      }
+
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason is required when changing attendance'
+        });
+      }
+
+      const target = await resolveTarget(req);
+      if (target.error) {
+        return res.status(target.error.status).json({
+          success: false,
+          message: target.error.message
+        });
+      }
+
+      const lectureId = String(target.record.lectureId);
+      const hasRecord = await Attendance.exists({ lectureId, studentId });
+      if (!hasRecord && !(await target.isEnrolled(studentId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student is not enrolled in this class'
+        });
+      }
+
+      const { attendance, previousStatus } = await Attendance.setStatus({
+        ...target.record,
+        studentId
+      }, status, { changedBy: req.user._id, reason });
+
+      await target.afterChange(attendance);
+
+      console.log(`Attendance changed: student ${studentId} in ${target.label} ${lectureId} ${previousStatus || 'unmarked'} -> ${status} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Attendance updated successfully',
+        attendance: {
+          id: attendance._id,
+          studentId: attendance.studentId,
+          status: attendance.status,
+          previousStatus,
+          history: attendance.history
+        }
+      });
+
+    } catch (error) {
+      console.error('Override attendance error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update attendance',
+        error: error.message
+      });
+    }
+  };
+}
+
+module.exports = {
+  createOverrideHandler
+};
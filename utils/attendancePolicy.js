@@ -0,0 +1,99 @@
+// utils/attendancePolicy.js - Late/close rules for QR joins
+//
+// Minutes are counted from the lecture/session start:
+//   joined within graceMinutes        -> present
+//   joined within lateCutoffMinutes   -> late (no cutoff: late until close)
+//   joined after lateCutoffMinutes    -> recorded, but counted absent
+//   joined after closeAfterMinutes    -> join rejected
+// lateCredit is how much a late mark counts towards the attendance
+// percentage (1 = same as present, 0.5 = half, 0 = not at all).
+
+const DEFAULT_POLICY = {
+  graceMinutes: 10,
+  lateCutoffMinutes: null,
+  closeAfterMinutes: null,
+  lateCredit: 1
+};
+
+const MINUTE_FIELDS = ['graceMinutes', 'lateCutoffMinutes', 'closeAfterMinutes'];
+
+// Effective policy: defaults, then the class policy, then lecture overrides
+function resolvePolicy(classDoc, lecture) {
+  const policy = { ...DEFAULT_POLICY };
+  const layers = [classDoc?.attendancePolicy, lecture?.settings?.attendancePolicy];
+
+  layers.forEach(layer => {
+    if (!layer) return;
+    Object.keys(DEFAULT_POLICY).forEach(key => {
+      if (layer[key] !== undefined) policy[key] = layer[key];
+    });
+  });
+
+  // Lectures that don't allow late joins close when the grace period ends
+  if (lecture?.settings?.allowLateJoin === false) {
+    policy.closeAfterMinutes = policy.closeAfterMinutes === null
+      ? policy.graceMinutes
+      : Math.min(policy.closeAfterMinutes, policy.graceMinutes);
+  }
+
+  return policy;
+}
+
+// Check policy input from a request; returns an error message or null
+function validatePolicy(input) {
+  if (!input || typeof input !== 'object') return 'Attendance policy must be an object';
+
+  for (const key of MINUTE_FIELDS) {
+    const value = input[key];
+    if (value !== undefined && value !== null && !(Number.isFinite(value) && value >= 0)) {
+      return `${key} must be a non-negative number of minutes or null`;
+    }
+  }
+
+  if (input.lateCredit !== undefined && !(Number.isFinite(input.lateCredit) && input.lateCredit >= 0 && input.lateCredit <= 1)) {
+    return 'lateCredit must be between 0 and 1';
+  }
+
+  const { graceMinutes, lateCutoffMinutes, closeAfterMinutes } = { ...DEFAULT_POLICY, ...input };
+  if (lateCutoffMinutes !== null && lateCutoffMinutes < graceMinutes) {
+    return 'lateCutoffMinutes cannot be before graceMinutes';
+  }
+  if (closeAfterMinutes !== null && closeAfterMinutes < graceMinutes) {
+    return 'closeAfterMinutes cannot be before graceMinutes';
+  }
+
+  return null;
+}
+
+// Pick only known policy fields from request input
+function pickPolicy(input) {
+  const policy = {};
+  Object.keys(DEFAULT_POLICY).forEach(key => {
+    if (input[key] !== undefined) policy[key] = input[key];
+  });
+  return policy;
+}
+
+// Classify a join. Returns { status } or { closed: true, closedAt }.
+function classifyJoin(policy, startTime, joinedAt = new Date()) {
+  const minutes = (joinedAt - startTime) / (60 * 1000);
+
+  if (policy.closeAfterMinutes !== null && minutes > policy.closeAfterMinutes) {
+    return {
+      closed: true,
+      closedAt: new Date(startTime.getTime() + policy.closeAfterMinutes * 60 * 1000)
+    };
+  }
+
+  if (minutes <= policy.graceMinutes) return { status: 'present' };
+  if (policy.lateCutoffMinutes === null || minutes <= policy.lateCutoffMinutes) return { status: 'late' };
+  return { status: 'absent' };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  resolvePolicy,
+  validatePolicy,
+  pickPolicy,
+  classifyJoin
+};
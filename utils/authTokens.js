@@ -0,0 +1,48 @@
+// utils/authTokens.js - Short-lived access tokens backed by AuthSession
+//
+// Access tokens carry the AuthSession id (sid) and the user's tokenVersion.
+// Revoking the session (logout) or bumping tokenVersion (role change,
+// "log out everywhere") makes them fail before they expire.
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      sid: sessionId,
+      tokenVersion: user.tokenVersion || 0
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Token fields for a login/refresh response
+function tokenResponse(user, session, refreshToken) {
+  const token = signAccessToken(user, session._id);
+  return {
+    token,
+    tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+}
+
+// Start a session for a freshly signed in user
+async function issueTokens(user, req) {
+  const { session, refreshToken } = await AuthSession.start(user, {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+  return tokenResponse(user, session, refreshToken);
+}
+
+module.exports = {
+  signAccessToken,
+  tokenResponse,
+  issueTokens
+};
@@ -0,0 +1,71 @@
+// utils/csv.js - CSV building with proper quoting
+
+// Quote a value for CSV. Values that spreadsheet apps would run as formulas
+// (=, +, -, @) get a leading apostrophe.
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) || text !== text.trim()
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+// Build CSV text from an array of rows (arrays of values)
+function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+// Parse CSV text into rows of strings (RFC 4180 quoting, any line ending)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,129 @@
+// utils/deviceCheck.js - Device binding and proxy-attendance flags for QR joins
+//
+// Clients send a stable per-install id in the X-Device-Id header (or
+// body.deviceId). Only a keyed hash of it is stored. Each class policy is
+// 'off', 'flag' (record the join with a flag for teachers) or 'block':
+//   oneDevicePerStudent  - a student joins from the device their account is bound to
+//   oneStudentPerDevice  - a device marks one student per lecture/session
+const crypto = require('crypto');
+const Attendance = require('../models/Attendance');
+const User = require('../models/User');
+
+const POLICY_MODES = ['off', 'flag', 'block'];
+
+const DEFAULT_DEVICE_POLICY = {
+  oneDevicePerStudent: 'flag',
+  oneStudentPerDevice: 'flag'
+};
+
+const FLAG_MESSAGES = {
+  missing_device: 'Joined without a device id',
+  device_mismatch: 'Joined from a device other than the one bound to the account',
+  shared_device: 'Device already used by another student in this lecture',
+  identical_location: 'Same coordinates as another student in this lecture'
+};
+
+function hashDeviceId(deviceId) {
+  return crypto
+    .createHmac('sha256', process.env.DEVICE_ID_SECRET || process.env.JWT_SECRET)
+    .update(deviceId)
+    .digest('hex');
+}
+
+// Device id from the request, or null when missing or malformed
+function readDeviceId(req) {
+  const deviceId = req.get('X-Device-Id') || req.body?.deviceId;
+  return typeof deviceId === 'string' && /^[\w-]{8,128}$/.test(deviceId) ? deviceId : null;
+}
+
+// Effective policy: defaults, then the class settings
+function resolveDevicePolicy(classDoc) {
+  const policy = { ...DEFAULT_DEVICE_POLICY };
+  const settings = classDoc?.settings?.devicePolicy;
+
+  Object.keys(DEFAULT_DEVICE_POLICY).forEach(key => {
+    if (POLICY_MODES.includes(settings?.[key])) policy[key] = settings[key];
+  });
+
+  return policy;
+}
+
+// Check a join against the device policy before attendance is recorded.
+// Returns { blocked } with a message, or { device, flags, bind } where
+// `bind` means the account has no device yet and should be bound to this one.
+async function checkJoin(req, classDoc, lectureId, position) {
+  const policy = resolveDevicePolicy(classDoc);
+  const deviceId = readDeviceId(req);
+  const flags = [];
+
+  if (!deviceId) {
+    if (policy.oneDevicePerStudent === 'block' || policy.oneStudentPerDevice === 'block') {
+      return { blocked: 'This class requires a registered device to mark attendance' };
+    }
+    if (policy.oneDevicePerStudent !== 'off' || policy.oneStudentPerDevice !== 'off') {
+      flags.push({ code: 'missing_device' });
+    }
+  }
+
+  const idHash = deviceId && hashDeviceId(deviceId);
+  const boundHash = req.user.deviceBinding?.idHash;
+
+  if (idHash && policy.oneDevicePerStudent !== 'off' && boundHash && boundHash !== idHash) {
+    if (policy.oneDevicePerStudent === 'block') {
+      return { blocked: 'Your account is registered to another device. Ask your teacher to reset it' };
+    }
+    flags.push({ code: 'device_mismatch' });
+  }
+
+  if (idHash && policy.oneStudentPerDevice !== 'off') {
+    const shared = await Attendance.findOne({
+      lectureId: lectureId.toString(),
+      'device.idHash': idHash,
+      studentId: { $ne: req.user._id }
+    }).select('studentId');
+
+    if (shared) {
+      if (policy.oneStudentPerDevice === 'block') {
+        return { blocked: 'This device has already been used to mark another student' };
+      }
+      flags.push({ code: 'shared_device', relatedStudent: shared.studentId });
+    }
+  }
+
+  // Exact same fix as someone else usually means a relayed location
+  if (position) {
+    const twin = await Attendance.findOne({
+      lectureId: lectureId.toString(),
+      'location.lat': position.lat,
+      'location.lng': position.lng,
+      studentId: { $ne: req.user._id }
+    }).select('studentId');
+
+    if (twin) {
+      flags.push({ code: 'identical_location', relatedStudent: twin.studentId });
+    }
+  }
+
+  return {
+    device: idHash ? { idHash, userAgent: req.get('User-Agent') } : undefined,
+    flags: flags.map(flag => ({ ...flag, detail: FLAG_MESSAGES[flag.code] })),
+    bind: !!idHash && !boundHash && policy.oneDevicePerStudent !== 'off'
+  };
+}
+
+// Bind the account to the device used for its first checked join
+async function bindDevice(user, device) {
+  await User.updateOne(
+    { _id: user._id, 'deviceBinding.idHash': null },
+    { deviceBinding: { idHash: device.idHash, userAgent: device.userAgent, boundAt: new Date() } }
+  );
+}
+
+module.exports = {
+  POLICY_MODES,
+  DEFAULT_DEVICE_POLICY,
+  FLAG_MESSAGES,
+  resolveDevicePolicy,
+  checkJoin,
+  bindDevice
+};
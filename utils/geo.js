@@ -0,0 +1,84 @@
+// utils/geo.js - Location helpers for geofenced attendance
+
+// Fixes less precise than this (in meters) are rejected unless the lecture says otherwise
+const DEFAULT_MAX_ACCURACY = parseInt(process.env.MAX_LOCATION_ACCURACY, 10) || 100;
+
+// Helper function to calculate distance between two coordinates
+function calculateDistance(lat1, lng1, lat2, lng2) {
+  const R = 6371e3; // Earth's radius in meters
+  const φ1 = lat1 * Math.PI / 180;
+  const φ2 = lat2 * Math.PI / 180;
+  const Δφ = (lat2 - lat1) * Math.PI / 180;
+  const Δλ = (lng2 - lng1) * Math.PI / 180;
+
+  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+          Math.cos(φ1) * Math.cos(φ2) *
+          Math.sin(Δλ/2) * Math.sin(Δλ/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+  return R * c; // Distance in meters
+}
+
+// Normalize a reported position ({ lat, lng } or { latitude, longitude }, plus accuracy)
+function parsePosition(input) {
+  if (!input) return null;
+
+  const lat = parseFloat(input.lat ?? input.latitude);
+  const lng = parseFloat(input.lng ?? input.longitude);
+  const accuracy = parseFloat(input.accuracy);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+
+  return {
+    lat,
+    lng,
+    accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : undefined
+  };
+}
+
+// Check a position against a fence ({ lat, lng, radius }).
+// The reported accuracy widens the fence, but fixes worse than maxAccuracy are
+// rejected outright so a coarse network fix can't cover the whole campus.
+// Returns { allowed, distance, reason }.
+function checkGeofence(fence, position, { maxAccuracy = DEFAULT_MAX_ACCURACY } = {}) {
+  if (!fence || !Number.isFinite(fence.lat) || !Number.isFinite(fence.lng)) {
+    return { allowed: false, reason: 'Attendance location has not been set up' };
+  }
+
+  if (!position) {
+    return { allowed: false, reason: 'Location is required to join' };
+  }
+
+  if (position.accuracy === undefined) {
+    return { allowed: false, reason: 'Location accuracy is required to join' };
+  }
+
+  const distance = Math.round(calculateDistance(fence.lat, fence.lng, position.lat, position.lng));
+
+  if (position.accuracy > maxAccuracy) {
+    return {
+      allowed: false,
+      distance,
+      reason: `Location is too imprecise (±${Math.round(position.accuracy)}m, max ${maxAccuracy}m). Enable precise location and try again`
+    };
+  }
+
+  if (distance > fence.radius + position.accuracy) {
+    return {
+      allowed: false,
+      distance,
+      reason: `You must be within ${fence.radius}m of the class location`
+    };
+  }
+
+  return { allowed: true, distance };
+}
+
+module.exports = {
+  DEFAULT_MAX_ACCURACY,
+  calculateDistance,
+  parsePosition,
+  checkGeofence
+};
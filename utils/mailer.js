@@ -0,0 +1,86 @@
+// utils/mailer.js - Outgoing email through a pluggable transport
+//
+// MAIL_TRANSPORT picks the transport:
+//   smtp    - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   file    - writes each message as an .eml file to MAIL_FILE_DIR (local dev)
+//   console - logs the recipient and subject
+// Defaults to smtp when SMTP_HOST is set, otherwise console. Other transports
+// can be plugged in with setTransport({ name, send(message) }).
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Qroll <no-reply@qroll.duckdns.org>';
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'qroll-mail');
+
+const transports = {
+  smtp() {
+    const mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      name: 'smtp',
+      send: message => mailer.sendMail(message)
+    };
+  },
+
+  file() {
+    const mailer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+      name: 'file',
+      async send(message) {
+        const info = await mailer.sendMail(message);
+        const filename = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+        await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+        await fs.writeFile(path.join(MAIL_FILE_DIR, filename), info.message);
+        return info;
+      }
+    };
+  },
+
+  console() {
+    return {
+      name: 'console',
+      async send(message) {
+        console.log(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId: null };
+      }
+    };
+  }
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use ${Object.keys(transports).join(', ')}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+}
+
+// Replace the configured transport (e.g. with a provider API client)
+function setTransport(custom) {
+  transport = custom;
+}
+
+// Send a message ({ to, subject, text, html }) from MAIL_FROM
+function sendMail(message) {
+  return getTransport().send({ from: MAIL_FROM, ...message });
+}
+
+module.exports = {
+  sendMail,
+  setTransport
+};
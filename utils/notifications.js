@@ -0,0 +1,49 @@
+// utils/notifications.js - Create in-app notifications and email them
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const mailer = require('./mailer');
+
+// Create a notification for a user and email it unless they opted out.
+// `notification` holds type, title, message and optionally classId, data
+// and key. Email failures are recorded on the notification, not thrown.
+async function notify(userId, notification, { email = true } = {}) {
+  const doc = await Notification.create({ user: userId, ...notification });
+
+  if (!email) {
+    doc.email.status = 'skipped';
+    await doc.save();
+    return doc;
+  }
+
+  await deliverEmail(doc);
+  return doc;
+}
+
+async function deliverEmail(doc) {
+  const user = await User.findById(doc.user).select('name email isActive notificationPreferences');
+
+  if (!user || !user.isActive || user.notificationPreferences?.email === false) {
+    doc.email.status = 'skipped';
+    return doc.save();
+  }
+
+  try {
+    await mailer.sendMail({
+      to: `${user.name} <${user.email}>`,
+      subject: doc.title,
+      text: `Hi ${user.name},\n\n${doc.message}\n\n${process.env.FRONTEND_URL || ''}\n`
+    });
+    doc.email.status = 'sent';
+    doc.email.sentAt = new Date();
+  } catch (error) {
+    console.error(`Notification email to ${user.email} failed:`, error.message);
+    doc.email.status = 'failed';
+    doc.email.error = error.message;
+  }
+
+  return doc.save();
+}
+
+module.exports = {
+  notify
+};
@@ -0,0 +1,228 @@
+// utils/pdfReports.js - Printable attendance reports (PDFKit)
+const PDFDocument = require('pdfkit');
+const { STATUS_CODES } = require('./register');
+
+const MARGIN = 40;
+const ROW_HEIGHT = 18;
+const MAX_REGISTER_COLUMNS = 24; // Lecture columns per register page
+
+const STATUS_LABELS = {
+  present: 'Present',
+  late: 'Late',
+  excused: 'Excused',
+  absent: 'Absent'
+};
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : '-';
+}
+
+function formatTime(date) {
+  return date ? new Date(date).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }) : '-';
+}
+
+// Start a PDF streamed to the response as an attachment
+function createDocument(res, filename, layout = 'portrait') {
+  const doc = new PDFDocument({ size: 'A4', layout, margin: MARGIN, bufferPages: true });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  doc.pipe(res);
+
+  return doc;
+}
+
+function drawTitle(doc, title, lines) {
+  doc.font('Helvetica-Bold').fontSize(16).text(title, { align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(10);
+  lines.forEach(line => doc.text(line));
+  doc.moveDown();
+}
+
+// Draw one table row; columns are { width, align } and cells are strings
+function drawRow(doc, columns, cells, { bold = false, fill = null, fontSize = 9 } = {}) {
+  const y = doc.y;
+  let x = MARGIN;
+
+  if (fill) {
+    doc.rect(MARGIN, y - 3, columns.reduce((sum, col) => sum + col.width, 0), ROW_HEIGHT).fill(fill);
+    doc.fillColor('black');
+  }
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+  columns.forEach((column, index) => {
+    doc.text(cells[index] ?? '', x + 2, y, {
+      width: column.width - 4,
+      align: column.align || 'left',
+      lineBreak: false,
+      ellipsis: true
+    });
+    x += column.width;
+  });
+
+  doc.x = MARGIN;
+  doc.y = y + ROW_HEIGHT;
+}
+
+// Draw a table, repeating the header row after each page break
+function drawTable(doc, columns, header, rows, { headerFontSize = 9 } = {}) {
+  const bottom = () => doc.page.height - MARGIN - ROW_HEIGHT * 2;
+  const headerStyle = { bold: true, fill: '#e6e6e6', fontSize: headerFontSize };
+
+  drawRow(doc, columns, header, headerStyle);
+  rows.forEach(row => {
+    if (doc.y > bottom()) {
+      doc.addPage();
+      drawRow(doc, columns, header, headerStyle);
+    }
+    drawRow(doc, columns, row);
+  });
+}
+
+function drawSignatures(doc) {
+  if (doc.y > doc.page.height - MARGIN - 80) {
+    doc.addPage();
+  }
+
+  doc.moveDown(3);
+  const y = doc.y;
+  const width = (doc.page.width - MARGIN * 2) / 3;
+
+  ['Teacher', 'Head of Department', 'Date'].forEach((label, index) => {
+    const x = MARGIN + width * index;
+    doc.moveTo(x, y).lineTo(x + width - 20, y).stroke();
+    doc.font('Helvetica').fontSize(9).text(label, x, y + 4, { width: width - 20 });
+  });
+}
+
+function drawPageNumbers(doc) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    doc.page.margins.bottom = 0; // Let the footer sit below the content area
+    doc.font('Helvetica').fontSize(8).text(
+      `Page ${i + 1} of ${range.count} - generated ${new Date().toISOString()}`,
+      MARGIN,
+      doc.page.height - MARGIN + 10,
+      { align: 'center', width: doc.page.width - MARGIN * 2, lineBreak: false }
+    );
+  }
+}
+
+// Single lecture/session sheet (see register.buildAttendanceSheet)
+function streamAttendanceSheet(sheet, res, filename) {
+  const doc = createDocument(res, filename);
+  const { summary } = sheet;
+
+  drawTitle(doc, 'Attendance Report', [
+    `Class: ${sheet.class.name} - ${sheet.class.section}`,
+    `Subject: ${sheet.subject.name} (${sheet.subject.code})`,
+    `${sheet.type === 'lecture' ? 'Lecture' : 'Session'}: ${sheet.title}`,
+    `Teacher: ${sheet.teacher.name}`,
+    `Date: ${formatDate(sheet.startTime)}   Time: ${formatTime(sheet.startTime)} - ${formatTime(sheet.endTime)}${sheet.room ? `   Room: ${sheet.room}` : ''}`
+  ]);
+
+  const width = doc.page.width - MARGIN * 2;
+  const columns = [
+    { width: 30, align: 'right' },
+    { width: width * 0.32 },
+    { width: width * 0.38 - 30 },
+    { width: width * 0.15 },
+    { width: width * 0.15 }
+  ];
+
+  drawTable(
+    doc,
+    columns,
+    ['#', 'Name', 'Email', 'Status', 'Marked at'],
+    sheet.rows.map((row, index) => [
+      String(index + 1),
+      row.name,
+      row.email,
+      STATUS_LABELS[row.status],
+      row.markedAt ? formatTime(row.markedAt) : '-'
+    ])
+  );
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(10).text('Summary', MARGIN);
+  doc.font('Helvetica').fontSize(10).text(
+    `Total: ${summary.total}   Present: ${summary.present}   Late: ${summary.late}   ` +
+    `Excused: ${summary.excused}   Absent: ${summary.absent}   Attendance: ${summary.attendanceRate}%`
+  );
+
+  drawSignatures(doc);
+  drawPageNumbers(doc);
+  doc.end();
+}
+
+// Multi-lecture register (see register.buildRegister); lectures are split
+// across pages when there are more than fit side by side
+function streamRegister(register, res, filename, title = 'Attendance Register') {
+  const doc = createDocument(res, filename, 'landscape');
+
+  const header = [
+    `Class: ${register.class.name} - ${register.class.section}`,
+    `Subject: ${register.subject ? `${register.subject.name} (${register.subject.code})` : 'All subjects'}`,
+    `Teacher: ${register.teacher.name}`,
+    `Period: ${formatDate(register.from)} - ${formatDate(register.to)}   Lectures held: ${register.lectures.length}`,
+    'P = Present, L = Late, E = Excused, A = Absent'
+  ];
+
+  const width = doc.page.width - MARGIN * 2;
+  const chunks = [];
+  for (let i = 0; i < Math.max(register.lectures.length, 1); i += MAX_REGISTER_COLUMNS) {
+    chunks.push(i);
+  }
+
+  chunks.forEach((offset, chunkIndex) => {
+    if (chunkIndex > 0) doc.addPage();
+
+    const lectures = register.lectures.slice(offset, offset + MAX_REGISTER_COLUMNS);
+    const isLast = chunkIndex === chunks.length - 1;
+    const nameWidth = 130;
+    const totalsWidth = isLast ? 140 : 0;
+    const cellWidth = lectures.length > 0 ? (width - nameWidth - totalsWidth) / lectures.length : 0;
+
+    drawTitle(doc, title, chunks.length > 1
+      ? [...header, `Lectures ${offset + 1}-${offset + lectures.length} of ${register.lectures.length}`]
+      : header);
+
+    const columns = [
+      { width: nameWidth },
+      ...lectures.map(() => ({ width: cellWidth, align: 'center' })),
+      ...(isLast ? [{ width: 35, align: 'right' }, { width: 35, align: 'right' }, { width: 70, align: 'right' }] : [])
+    ];
+
+    const headerRow = [
+      'Student',
+      ...lectures.map(lecture => {
+        const date = new Date(lecture.startTime);
+        return `${date.getDate()}/${date.getMonth() + 1}`;
+      }),
+      ...(isLast ? ['Held', 'Att.', '%'] : [])
+    ];
+
+    const rows = register.students.map(student => [
+      student.name,
+      ...student.cells.slice(offset, offset + MAX_REGISTER_COLUMNS).map(status => status ? STATUS_CODES[status] : '-'),
+      ...(isLast ? [
+        String(student.total - student.excused),
+        String(student.present + student.late),
+        `${student.attendanceRate}%`
+      ] : [])
+    ]);
+
+    drawTable(doc, columns, headerRow, rows, { headerFontSize: 7 });
+  });
+
+  drawSignatures(doc);
+  drawPageNumbers(doc);
+  doc.end();
+}
+
+module.exports = {
+  streamAttendanceSheet,
+  streamRegister
+};
@@ -0,0 +1,82 @@
+// utils/qrToken.js - Stateless rotating QR tokens (TOTP-style)
+//
+// A token is `<id>.<code>`, where code is an HMAC of the id and the current
+// time window, keyed with a per-lecture/per-session secret. Nothing is written
+// to the database when the code rotates; verification recomputes the code for
+// the current window (plus/minus the allowed clock skew) and compares.
+const crypto = require('crypto');
+
+// Seconds each code stays valid
+const ROTATION_SECONDS = parseInt(process.env.QR_ROTATION_SECONDS, 10) || 10;
+
+// Number of neighbouring windows accepted on each side to absorb clock drift and scan latency
+// (0 is allowed for strict checking; anything unparseable falls back to 1)
+const configuredSkew = parseInt(process.env.QR_CLOCK_SKEW_STEPS, 10);
+const CLOCK_SKEW_STEPS = configuredSkew >= 0 ? configuredSkew : 1;
+
+const CODE_LENGTH = 22;
+const CODE_PATTERN = /^[A-Za-z0-9_-]+$/; // base64url, so length in chars equals length in bytes
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function getCounter(now = Date.now(), period = ROTATION_SECONDS) {
+  return Math.floor(now / (period * 1000));
+}
+
+function computeCode(id, secret, counter) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${id}:${counter}`)
+    .digest('base64url')
+    .substring(0, CODE_LENGTH);
+}
+
+// Build the token for the current window
+function signToken(id, secret, { now = Date.now(), period = ROTATION_SECONDS } = {}) {
+  const counter = getCounter(now, period);
+
+  return {
+    token: `${id}.${computeCode(id, secret, counter)}`,
+    expiresAt: new Date((counter + 1) * period * 1000),
+    rotationPeriod: period
+  };
+}
+
+// Split a token into its id and code without verifying it
+function parseToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [id, code, ...rest] = token.split('.');
+  if (!id || !code || rest.length > 0 || code.length !== CODE_LENGTH || !CODE_PATTERN.test(code)) return null;
+
+  return { id, code };
+}
+
+// Check a token against the secret for any window within the skew tolerance
+function verifyToken(token, id, secret, { now = Date.now(), period = ROTATION_SECONDS, skew = CLOCK_SKEW_STEPS } = {}) {
+  const parsed = parseToken(token);
+  if (!parsed || parsed.id !== String(id) || !secret) return false;
+
+  const counter = getCounter(now, period);
+  const presented = Buffer.from(parsed.code);
+
+  for (let offset = -skew; offset <= skew; offset++) {
+    const expected = Buffer.from(computeCode(parsed.id, secret, counter + offset));
+    if (presented.length === expected.length && crypto.timingSafeEqual(presented, expected)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+module.exports = {
+  ROTATION_SECONDS,
+  CLOCK_SKEW_STEPS,
+  generateSecret,
+  signToken,
+  parseToken,
+  verifyToken
+};
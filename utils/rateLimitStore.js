@@ -0,0 +1,159 @@
+// utils/rateLimitStore.js - Rate limit counters shared through MongoDB
+//
+// Limits use GCRA: each key allows one request per `interval` ms on
+// average, with up to `burst` extra requests at once. State lives in the
+// RateLimit collection so every instance sees the same counters. When
+// MongoDB is unavailable (or RATE_LIMIT_STORE=memory) an in-process Map is
+// used instead, which is fine for a single dev server.
+const mongoose = require('mongoose');
+const RateLimit = require('../models/RateLimit');
+
+const USE_MEMORY = process.env.RATE_LIMIT_STORE === 'memory';
+
+const memory = new Map();
+
+// Drop memory entries nobody has touched since they expired
+setInterval(() => {
+  const now = Date.now();
+  memory.forEach((entry, key) => {
+    if (entry.expiresAt <= now) memory.delete(key);
+  });
+}, 60 * 1000).unref();
+
+function memoryEntry(key) {
+  if (!memory.has(key)) memory.set(key, { tat: 0, failures: 0, failuresResetAt: 0, lockedUntil: 0, expiresAt: 0 });
+  return memory.get(key);
+}
+
+const memoryStore = {
+  async consume(key, { interval, burst }) {
+    const now = Date.now();
+    const entry = memoryEntry(key);
+    const base = Math.max(entry.tat, now);
+    const tolerance = interval * burst;
+
+    if (base - now > tolerance) {
+      return { allowed: false, retryAfterMs: base - tolerance - now };
+    }
+
+    entry.tat = base + interval;
+    entry.expiresAt = Math.max(entry.expiresAt, entry.tat);
+    return { allowed: true, retryAfterMs: 0 };
+  },
+
+  async recordFailure(key, { windowMs, maxFailures, lockoutMs }) {
+    const now = Date.now();
+    const entry = memoryEntry(key);
+
+    if (entry.failuresResetAt <= now) {
+      entry.failures = 0;
+      entry.failuresResetAt = now + windowMs;
+    }
+    entry.failures++;
+    if (entry.failures >= maxFailures) {
+      entry.lockedUntil = now + lockoutMs;
+    }
+    entry.expiresAt = Math.max(entry.expiresAt, entry.failuresResetAt, entry.lockedUntil);
+
+    return { failures: entry.failures, lockedUntil: entry.lockedUntil > now ? new Date(entry.lockedUntil) : null };
+  },
+
+  async getLock(key) {
+    const entry = memory.get(key);
+    return entry && entry.lockedUntil > Date.now() ? new Date(entry.lockedUntil) : null;
+  },
+
+  async clearFailures(key) {
+    const entry = memory.get(key);
+    if (entry) {
+      entry.failures = 0;
+      entry.lockedUntil = 0;
+    }
+  }
+};
+
+// Each operation is a single atomic update (pipeline updates, MongoDB 4.2+)
+const mongoStore = {
+  async consume(key, { interval, burst }) {
+    const now = new Date();
+    const tolerance = interval * burst;
+
+    const doc = await RateLimit.findOneAndUpdate(
+      { _id: key },
+      [
+        { $set: { base: { $max: [{ $ifNull: ['$tat', now] }, now] } } },
+        { $set: { allowed: { $lte: [{ $subtract: ['$base', now] }, tolerance] } } },
+        { $set: { tat: { $cond: ['$allowed', { $add: ['$base', interval] }, '$tat'] } } },
+        { $set: { expiresAt: { $max: [{ $ifNull: ['$expiresAt', now] }, '$tat'] } } }
+      ],
+      { upsert: true, new: true, lean: true, setDefaultsOnInsert: false }
+    );
+
+    return doc.allowed
+      ? { allowed: true, retryAfterMs: 0 }
+      : { allowed: false, retryAfterMs: doc.base - tolerance - now };
+  },
+
+  async recordFailure(key, { windowMs, maxFailures, lockoutMs }) {
+    const now = new Date();
+
+    const doc = await RateLimit.findOneAndUpdate(
+      { _id: key },
+      [
+        { $set: { reset: { $lte: [{ $ifNull: ['$failuresResetAt', now] }, now] } } },
+        {
+          $set: {
+            failures: { $cond: ['$reset', 1, { $add: ['$failures', 1] }] },
+            failuresResetAt: { $cond: ['$reset', new Date(now.getTime() + windowMs), '$failuresResetAt'] }
+          }
+        },
+        {
+          $set: {
+            lockedUntil: {
+              $cond: [{ $gte: ['$failures', maxFailures] }, new Date(now.getTime() + lockoutMs), '$lockedUntil']
+            }
+          }
+        },
+        {
+          $set: {
+            expiresAt: {
+              $max: [{ $ifNull: ['$expiresAt', now] }, '$failuresResetAt', { $ifNull: ['$lockedUntil', now] }]
+            }
+          }
+        },
+        { $unset: 'reset' }
+      ],
+      { upsert: true, new: true, lean: true, setDefaultsOnInsert: false }
+    );
+
+    return { failures: doc.failures, lockedUntil: doc.lockedUntil > now ? doc.lockedUntil : null };
+  },
+
+  async getLock(key) {
+    const doc = await RateLimit.findById(key).select('lockedUntil').lean();
+    return doc && doc.lockedUntil > new Date() ? doc.lockedUntil : null;
+  },
+
+  async clearFailures(key) {
+    await RateLimit.updateOne({ _id: key }, { $set: { failures: 0 }, $unset: { lockedUntil: 1 } });
+  }
+};
+
+// Run a store operation on MongoDB, falling back to memory when it's down
+async function run(operation, ...args) {
+  if (!USE_MEMORY && mongoose.connection.readyState === 1) {
+    try {
+      return await mongoStore[operation](...args);
+    } catch (error) {
+      console.error(`Rate limit store error (${operation}), using memory:`, error.message);
+    }
+  }
+  return memoryStore[operation](...args);
+}
+
+module.exports = {
+  consume: (key, options) => run('consume', key, options),
+  recordFailure: (key, options) => run('recordFailure', key, options),
+  getLock: (key) => run('getLock', key),
+  clearFailures: (key) => run('clearFailures', key)
+};
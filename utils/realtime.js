@@ -0,0 +1,90 @@
+// utils/realtime.js - Server-Sent Events for live lecture/session dashboards
+//
+// Events are fanned out through an in-process EventEmitter, so a teacher only
+// receives events raised by the instance their stream is connected to. Swap the
+// emitter for Redis pub/sub (or similar) before running several instances.
+const EventEmitter = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // One listener per open stream
+
+// Comment line sent periodically so proxies don't drop idle connections
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+function channel(kind, id) {
+  return `${kind}:${id}`;
+}
+
+// Send an event to every stream subscribed to the channel
+function publish(channelName, event, data) {
+  bus.emit(channelName, event, data);
+}
+
+// Turn the response into an event stream subscribed to the channel
+function openStream(req, res, channelName) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const cleanups = [];
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    bus.off(channelName, listener);
+    cleanups.forEach(cleanup => cleanup());
+    res.end();
+  };
+
+  const listener = (event, data) => {
+    send(event, data);
+    if (event === 'session.ended') {
+      close();
+    }
+  };
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  bus.on(channelName, listener);
+  req.on('close', close);
+
+  return {
+    send,
+    close,
+    onClose: (cleanup) => closed ? cleanup() : cleanups.push(cleanup)
+  };
+}
+
+// Call fn at the start of every `seconds`-long window; returns a cancel function
+function everyWindow(seconds, fn) {
+  const period = seconds * 1000;
+  let interval = null;
+
+  const timeout = setTimeout(() => {
+    fn();
+    interval = setInterval(fn, period);
+  }, period - (Date.now() % period));
+
+  return () => {
+    clearTimeout(timeout);
+    clearInterval(interval);
+  };
+}
+
+module.exports = {
+  channel,
+  publish,
+  openStream,
+  everyWindow
+};
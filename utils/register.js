@@ -0,0 +1,185 @@
+// utils/register.js - Attendance data shaped for reports and exports
+const Attendance = require('../models/Attendance');
+const { resolvePolicy } = require('./attendancePolicy');
+
+const STATUS_CODES = {
+  present: 'P',
+  late: 'L',
+  excused: 'E',
+  absent: 'A'
+};
+
+function emptyCounts() {
+  return { total: 0, present: 0, late: 0, excused: 0, absent: 0 };
+}
+
+// Students whose user could be populated; ids of deleted users have no
+// name or email to show
+function populatedStudents(classDoc) {
+  return classDoc.students.filter(student => student && student.email);
+}
+
+function byName(a, b) {
+  return (a.name || '').localeCompare(b.name || '');
+}
+
+function subjectName(classDoc, subjectId) {
+  const subject = classDoc.subjects.find(s => s.code === subjectId);
+  return subject ? subject.name : subjectId;
+}
+
+// Roster of a single lecture or session (doc) with each student's status and
+// summary counts. `type` is 'lecture' or 'session'.
+async function buildAttendanceSheet(classDoc, doc, type) {
+  await classDoc.populate([
+    { path: 'teacher', select: 'name email' },
+    { path: 'students', select: 'name email' }
+  ]);
+
+  const lectureId = doc._id.toString();
+  const records = await Attendance.find({ lectureId })
+    .populate('studentId', 'name email');
+
+  // Ended lectures use the roster they were held with
+  const rosterIds = doc.rosterSnapshotAt
+    ? new Set(doc.roster.map(id => id.toString()))
+    : new Set(populatedStudents(classDoc).map(student => student._id.toString()));
+
+  const rows = new Map();
+  populatedStudents(classDoc)
+    .filter(student => rosterIds.has(student._id.toString()))
+    .forEach(student => rows.set(student._id.toString(), {
+      name: student.name,
+      email: student.email,
+      status: 'absent',
+      markedAt: null
+    }));
+
+  records
+    .filter(record => record.studentId)
+    .forEach(record => rows.set(record.studentId._id.toString(), {
+      name: record.studentId.name,
+      email: record.studentId.email,
+      status: record.status,
+      markedAt: record.status === 'absent' ? null : record.timestamp
+    }));
+
+  const sortedRows = [...rows.values()].sort(byName);
+  const counts = emptyCounts();
+  sortedRows.forEach(row => {
+    counts.total++;
+    counts[row.status]++;
+  });
+
+  const policy = resolvePolicy(classDoc, type === 'lecture' ? doc : undefined);
+
+  return {
+    type,
+    title: type === 'lecture' ? doc.title : doc.subjectName,
+    class: {
+      id: classDoc._id,
+      name: classDoc.name,
+      section: classDoc.section
+    },
+    subject: {
+      code: doc.subjectId,
+      name: subjectName(classDoc, doc.subjectId)
+    },
+    teacher: {
+      name: classDoc.teacher.name,
+      email: classDoc.teacher.email
+    },
+    room: doc.room,
+    startTime: doc.startTime,
+    endTime: doc.endTime,
+    rows: sortedRows,
+    summary: {
+      ...counts,
+      attendanceRate: Attendance.attendanceRate(counts, policy.lateCredit)
+    }
+  };
+}
+
+// Student x lecture matrix for a class over a date range. Each cell is a
+// status, or null when the student wasn't on the roster for that lecture.
+async function buildRegister(classDoc, { from, to, subjectId } = {}) {
+  await classDoc.populate([
+    { path: 'teacher', select: 'name email' },
+    { path: 'students', select: 'name email' }
+  ]);
+
+  const held = await Attendance.getHeldLectures(classDoc._id, { startDate: from, endDate: to, subjectId });
+  const lectureIds = [...held.keys()];
+  const roster = populatedStudents(classDoc);
+  const marks = await Attendance.getMarks(lectureIds, roster.map(student => student._id));
+  const { lateCredit } = resolvePolicy(classDoc);
+
+  const students = roster
+    .sort(byName)
+    .map(student => {
+      const studentMarks = marks.get(student._id.toString()) || new Map();
+      const counts = emptyCounts();
+
+      const cells = lectureIds.map(lectureId => {
+        if (!Attendance.countsFor(held.get(lectureId), student._id, studentMarks, lectureId)) {
+          return null;
+        }
+
+        const status = studentMarks.get(lectureId) || 'absent';
+        counts.total++;
+        counts[status]++;
+        return status;
+      });
+
+      return {
+        id: student._id,
+        name: student.name,
+        email: student.email,
+        cells,
+        ...counts,
+        attendanceRate: Attendance.attendanceRate(counts, lateCredit)
+      };
+    });
+
+  return {
+    class: {
+      id: classDoc._id,
+      name: classDoc.name,
+      section: classDoc.section
+    },
+    teacher: {
+      name: classDoc.teacher.name,
+      email: classDoc.teacher.email
+    },
+    subject: subjectId ? { code: subjectId, name: subjectName(classDoc, subjectId) } : null,
+    from: from ? new Date(from) : null,
+    to: to ? new Date(to) : null,
+    lateCredit,
+    lectures: lectureIds.map(lectureId => {
+      const { type, title, subjectId: code, startTime } = held.get(lectureId);
+      return { id: lectureId, type, title, subjectId: code, subjectName: subjectName(classDoc, code), startTime };
+    }),
+    students
+  };
+}
+
+// First and last moment of a "YYYY-MM" month in server local time
+function monthRange(month) {
+  const match = typeof month === 'string' && month.match(/^(\d{4})-(0[1-9]|1[0-2])$/);
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10);
+  const monthIndex = parseInt(match[2], 10) - 1;
+
+  return {
+    from: new Date(year, monthIndex, 1),
+    to: new Date(year, monthIndex + 1, 1, 0, 0, 0, -1)
+  };
+}
+
+module.exports = {
+  STATUS_CODES,
+  buildAttendanceSheet,
+  buildRegister,
+  monthRange
+};
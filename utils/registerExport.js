@@ -0,0 +1,103 @@
+// utils/registerExport.js - Register (student x lecture matrix) as CSV or XLSX
+const ExcelJS = require('exceljs');
+const { STATUS_CODES } = require('./register');
+const { toCsv } = require('./csv');
+
+function lectureLabel(lecture) {
+  const date = new Date(lecture.startTime);
+  const pad = (n) => String(n).padStart(2, '0');
+  const when = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  return `${when} ${lecture.subjectId}`;
+}
+
+const TOTAL_HEADERS = ['Held', 'Present', 'Late', 'Excused', 'Absent', 'Attendance %'];
+
+function totalsFor(student) {
+  return [
+    student.total - student.excused,
+    student.present,
+    student.late,
+    student.excused,
+    student.absent,
+    student.attendanceRate
+  ];
+}
+
+// Rows (header first) shared by both formats; cells are P/L/E/A, blank when
+// the student wasn't on the roster for that lecture
+function registerRows(register) {
+  return [
+    ['Name', 'Email', ...register.lectures.map(lectureLabel), ...TOTAL_HEADERS],
+    ...register.students.map(student => [
+      student.name,
+      student.email,
+      ...student.cells.map(status => status ? STATUS_CODES[status] : ''),
+      ...totalsFor(student)
+    ])
+  ];
+}
+
+function registerToCsv(register) {
+  return toCsv(registerRows(register));
+}
+
+// Write the register as an XLSX workbook to the response
+async function streamRegisterXlsx(register, res, filename) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Register', {
+    views: [{ state: 'frozen', xSplit: 2, ySplit: 1 }]
+  });
+
+  const rows = registerRows(register);
+  sheet.addRows(rows);
+
+  const header = sheet.getRow(1);
+  header.font = { bold: true };
+  header.alignment = { textRotation: 90, vertical: 'bottom', horizontal: 'center' };
+  header.getCell(1).alignment = { vertical: 'bottom' };
+  header.getCell(2).alignment = { vertical: 'bottom' };
+
+  sheet.getColumn(1).width = 28;
+  sheet.getColumn(2).width = 32;
+  for (let i = 3; i <= rows[0].length; i++) {
+    sheet.getColumn(i).width = i > 2 + register.lectures.length ? 10 : 5;
+    sheet.getColumn(i).alignment = { horizontal: 'center' };
+  }
+
+  const fills = { L: 'FFFFF2CC', A: 'FFF8CBAD', E: 'FFDDEBF7' };
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    for (let i = 3; i < 3 + register.lectures.length; i++) {
+      const cell = row.getCell(i);
+      if (fills[cell.value]) {
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: fills[cell.value] } };
+      }
+    }
+  });
+
+  const info = workbook.addWorksheet('Info');
+  info.addRows([
+    ['Class', `${register.class.name} - ${register.class.section}`],
+    ['Subject', register.subject ? `${register.subject.name} (${register.subject.code})` : 'All subjects'],
+    ['Teacher', register.teacher.name],
+    ['From', register.from],
+    ['To', register.to],
+    ['Lectures held', register.lectures.length],
+    ['Late credit', register.lateCredit],
+    ['Legend', 'P = Present, L = Late, E = Excused, A = Absent']
+  ]);
+  info.getColumn(1).width = 16;
+  info.getColumn(2).width = 40;
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  await workbook.xlsx.write(res);
+  res.end();
+}
+
+module.exports = {
+  registerToCsv,
+  streamRegisterXlsx
+};
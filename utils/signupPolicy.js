@@ -0,0 +1,108 @@
+// utils/signupPolicy.js - Which Google accounts may sign in, and their roles
+//
+// Sign-in is limited to the email domains of active organizations plus
+// ALLOWED_EMAIL_DOMAINS (comma separated). With neither configured, any
+// verified Google account may sign in.
+//
+// Role rules map email patterns to roles, e.g.
+//   ROLE_RULES='[{"pattern":"^\\d+@school\\.edu$","role":"student"},
+//                {"pattern":"@faculty\\.school\\.edu$","role":"teacher"}]'
+// Organization rules are checked before the global ones; the first match wins.
+
+const Organization = require('../models/Organization');
+
+const RULE_ROLES = ['teacher', 'student'];
+const MAX_PATTERN_LENGTH = 200;
+
+// Institutional addresses must come from the Google Workspace that owns the
+// domain (the `hd` claim), not a personal Google account using that address
+const REQUIRE_HOSTED_DOMAIN = process.env.GOOGLE_REQUIRE_HD !== 'false';
+
+const ALLOWED_EMAIL_DOMAINS = (process.env.ALLOWED_EMAIL_DOMAINS || '')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase())
+  .filter(Boolean);
+
+const GLOBAL_ROLE_RULES = parseRoleRules(process.env.ROLE_RULES);
+
+function parseRoleRules(json) {
+  if (!json) return [];
+
+  try {
+    const rules = JSON.parse(json);
+    const error = validateRoleRules(rules);
+    if (error) throw new Error(error);
+    return rules;
+  } catch (error) {
+    console.error('Ignoring invalid ROLE_RULES:', error.message);
+    return [];
+  }
+}
+
+// Check role rules from config or a request; returns an error message or null
+function validateRoleRules(rules) {
+  if (!Array.isArray(rules)) return 'Role rules must be a list';
+
+  for (const rule of rules) {
+    if (!rule || typeof rule.pattern !== 'string' || !rule.pattern || rule.pattern.length > MAX_PATTERN_LENGTH) {
+      return `Each rule needs a pattern of at most ${MAX_PATTERN_LENGTH} characters`;
+    }
+    if (!RULE_ROLES.includes(rule.role)) {
+      return `Rule role must be one of: ${RULE_ROLES.join(', ')}`;
+    }
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (error) {
+      return `Invalid pattern "${rule.pattern}": ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+function emailDomain(email) {
+  return String(email || '').split('@')[1]?.toLowerCase() || '';
+}
+
+// Decide whether a verified Google ID token payload may sign in.
+// Returns { allowed, organization, reason }.
+async function checkSignIn(payload) {
+  const { email, email_verified: emailVerified, hd } = payload;
+  const domain = emailDomain(email);
+
+  if (!email || !emailVerified) {
+    return { allowed: false, reason: 'Google account email is not verified' };
+  }
+
+  const organization = await Organization.findForEmail(email);
+  const listed = !!organization || ALLOWED_EMAIL_DOMAINS.includes(domain);
+
+  if (!listed) {
+    const restricted = ALLOWED_EMAIL_DOMAINS.length > 0 ||
+      await Organization.exists({ isActive: true, 'domains.0': { $exists: true } });
+
+    return restricted
+      ? { allowed: false, reason: 'Sign-in is limited to accounts from participating institutions' }
+      : { allowed: true, organization: null };
+  }
+
+  if (REQUIRE_HOSTED_DOMAIN && (hd || '').toLowerCase() !== domain) {
+    return { allowed: false, reason: `Sign in with your ${domain} Google Workspace account` };
+  }
+
+  return { allowed: true, organization };
+}
+
+// Role the rules assign to an email, or null when no rule matches
+function mapRole(email, organization) {
+  const rules = [...(organization?.roleRules || []), ...GLOBAL_ROLE_RULES];
+  const rule = rules.find(({ pattern }) => new RegExp(pattern, 'i').test(email));
+  return rule ? rule.role : null;
+}
+
+module.exports = {
+  RULE_ROLES,
+  validateRoleRules,
+  checkSignIn,
+  mapRole
+};
@@ -0,0 +1,170 @@
+// utils/timetable.js - Expand a class timetable into scheduled lectures
+//
+// Slot times are "HH:MM" in the server's local time zone, so run the server
+// with TZ set to the institution's zone.
+const Lecture = require('../models/Lecture');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DEFAULT_DURATION = 60; // minutes, when a slot has no end time
+const MAX_RANGE_DAYS = 366;
+
+// Minutes since midnight for "HH:MM", or null if invalid
+function parseTime(value) {
+  const match = typeof value === 'string' && value.match(TIME_PATTERN);
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+// Check timetable slots against the class subjects; returns an error message or null
+function validateSlots(slots, subjects) {
+  if (!Array.isArray(slots)) return 'Timetable must be an array of slots';
+
+  for (const [index, slot] of slots.entries()) {
+    const label = `Slot ${index + 1}`;
+
+    if (!slot || typeof slot !== 'object') {
+      return `${label}: must be an object`;
+    }
+    if (!subjects.some(s => s.code === slot.subjectId)) {
+      return `${label}: subject ${slot.subjectId} not found in this class`;
+    }
+    if (!Array.isArray(slot.days) || slot.days.length === 0 || !slot.days.every(day => DAY_NAMES.includes(day))) {
+      return `${label}: days must be a non-empty list of weekday names`;
+    }
+
+    const start = parseTime(slot.startTime);
+    if (start === null) {
+      return `${label}: startTime must be HH:MM`;
+    }
+    if (slot.endTime !== undefined && slot.endTime !== null) {
+      const end = parseTime(slot.endTime);
+      if (end === null || end <= start) {
+        return `${label}: endTime must be HH:MM and after startTime`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Timetable slots for a class, falling back to the single class schedule
+// when the class only teaches one subject
+function getSlots(classDoc) {
+  if (classDoc.timetable && classDoc.timetable.length > 0) {
+    return classDoc.timetable;
+  }
+
+  const { schedule, subjects } = classDoc;
+  if (schedule?.days?.length && schedule.startTime && subjects.length === 1) {
+    return [{
+      subjectId: subjects[0].code,
+      days: schedule.days,
+      startTime: schedule.startTime,
+      endTime: schedule.endTime,
+      room: schedule.room
+    }];
+  }
+
+  return [];
+}
+
+// Every slot occurrence that starts within [from, to)
+function expandOccurrences(slots, from, to) {
+  const occurrences = [];
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+
+  for (; day < to; day.setDate(day.getDate() + 1)) {
+    const dayName = DAY_NAMES[day.getDay()];
+
+    for (const slot of slots) {
+      if (!slot.days.includes(dayName)) continue;
+
+      const start = parseTime(slot.startTime);
+      const end = parseTime(slot.endTime);
+      const startTime = new Date(day);
+      startTime.setHours(Math.floor(start / 60), start % 60, 0, 0);
+
+      if (startTime < from || startTime >= to) continue;
+
+      occurrences.push({
+        subjectId: slot.subjectId,
+        startTime,
+        duration: end !== null ? end - start : DEFAULT_DURATION,
+        room: slot.room
+      });
+    }
+  }
+
+  return occurrences.sort((a, b) => a.startTime - b.startTime);
+}
+
+// Resolve the generation window from request input and the class term
+function resolveRange(classDoc, { from, to } = {}) {
+  const now = new Date();
+  const start = new Date(from || Math.max(now, classDoc.term?.startDate || now));
+  const end = new Date(to || classDoc.term?.endDate || start.getTime() + 14 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(start) || isNaN(end) || end <= start) {
+    return { error: 'Invalid date range' };
+  }
+  if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { from: start, to: end };
+}
+
+// Create scheduled lectures for each occurrence in the range. Occurrences that
+// already have a lecture are left alone, so this is safe to re-run.
+async function generateLectures(classDoc, from, to) {
+  const occurrences = expandOccurrences(getSlots(classDoc), from, to);
+  if (occurrences.length === 0) {
+    return { total: 0, created: 0 };
+  }
+
+  const operations = occurrences.map(occurrence => {
+    const subject = classDoc.subjects.find(s => s.code === occurrence.subjectId);
+
+    return {
+      updateOne: {
+        filter: {
+          classId: classDoc._id,
+          subjectId: occurrence.subjectId,
+          scheduledStartTime: occurrence.startTime
+        },
+        update: {
+          $setOnInsert: {
+            classId: classDoc._id,
+            subjectId: occurrence.subjectId,
+            title: `${subject ? subject.name : occurrence.subjectId} Lecture`,
+            status: 'scheduled',
+            startTime: occurrence.startTime,
+            scheduledStartTime: occurrence.startTime,
+            duration: occurrence.duration,
+            room: occurrence.room,
+            'settings.autoStart': !!classDoc.settings?.autoStartLectures
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  const result = await Lecture.bulkWrite(operations, { ordered: false });
+
+  return {
+    total: occurrences.length,
+    created: result.upsertedCount
+  };
+}
+
+module.exports = {
+  DAY_NAMES,
+  parseTime,
+  validateSlots,
+  getSlots,
+  expandOccurrences,
+  resolveRange,
+  generateLectures
+};